@@ -3,13 +3,16 @@
 import blessed from 'blessed';
 import contrib from 'blessed-contrib';
 import si from 'systeminformation';
-import { exec } from 'child_process';
+import { exec, execFile, execFileSync, spawn } from 'child_process';
 import { promisify } from 'util';
 import https from 'https';
 import http from 'http';
 import fs from 'fs';
+import { EventEmitter } from 'events';
+import { createInterface } from 'readline';
+import { StringDecoder } from 'string_decoder';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { basename, dirname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -22,6 +25,7 @@ try {
 } catch {}
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 const DEFAULT_REFRESH_INTERVAL = 2000;
 const HISTORY_LENGTH = 60;
@@ -30,13 +34,54 @@ const NETWORK_HISTORY_LENGTH = 30;
 // Settings storage path
 const SETTINGS_PATH = process.env.HOME + '/.openclaw/dashboard-settings.json';
 
+// Each agent keeps its own sessions/sessions.json under this directory
+const AGENTS_DIR = process.env.HOME + '/.openclaw/agents';
+
 const DEFAULT_SETTINGS = {
   refreshInterval: DEFAULT_REFRESH_INTERVAL,
   showNetwork: true,
+  networkInterface: 'auto', // 'auto' (first up, non-internal) | 'all' (sum of those) | an interface name
   showGPU: true,
   showDisk: true,
+  showSensors: false,
+  showFootprint: true, // CPU, memory and open files of the gateway and its child processes
+  diskMounts: [], // mount points to watch besides the ~/.openclaw one; '/' when empty
   logLevelFilter: 'all',
-  sessionSortMode: 'time' // 'time' | 'tokens' | 'idle' | 'name'
+  logSubsystemFilter: 'all', // 'all' or a subsystem such as 'gateway' or 'telegram'
+  logTimestamps: 'absolute', // 'absolute' | 'relative'
+  sessionSortMode: 'time', // 'time' | 'tokens' | 'idle' | 'name'
+  agentFilter: 'all', // 'all' | agent id under ~/.openclaw/agents
+  sessionGroupMode: 'none', // 'none' | 'channel' | 'kind' | 'model' | 'agent'
+  contextWarnPercent: 75,
+  contextCriticalPercent: 90,
+  contextAlerts: true, // bell + footer notice when a session crosses a context threshold
+  sessionFilter: '', // free text and/or channel:, kind:, model:, status:, agent: terms
+  // USD per 1M tokens, keyed by model id or glob ("openrouter/*"). A number prices
+  // every token the same; { input, output } uses the session's token split when known.
+  modelPricing: {},
+  gatewayHealthPath: '/health',
+  // Remote OpenClaw instances, e.g. { name, url, token, sessionsPath }. The local
+  // install is always instance 1; these follow it on keys 2-9.
+  instances: [],
+  streamEvents: false, // live session/log events from the gateway; polling is the fallback
+  streamPath: '/api/events',
+  logBufferLines: 5000, // lines kept for the full-screen log viewer
+  // 'auto' tails the log files when there are any, else runs `openclaw logs --follow`;
+  // 'file' | 'follow' force one of those, 'poll' re-runs `openclaw logs` each refresh
+  logSource: 'auto',
+  logFiles: [], // explicit files to tail instead of the discovered ones
+  // { pattern, action: 'mute' | 'highlight' | 'alert', color, flags } applied to
+  // each log line; patterns are regexes, case-insensitive unless flags says otherwise
+  logRules: [
+    { pattern: 'plugin CLI register skipped', action: 'mute' }
+  ],
+  errorSpikeMultiplier: 3, // errors/min over this multiple of the recent baseline is a spike
+  errorSpikeMinimum: 5, // ...and at least this many, so 0 -> 1 errors isn't one
+  // { metric, above, for, clear, actions, name, resolve }: metric is 'cpu' | 'memory' |
+  // 'disk' (percent), 'gatewayOffline', 'sessionStale' (minutes idle) or 'contextPercent';
+  // it fires after `above` holds for `for` seconds and clears below `clear`.
+  // actions: 'bell' | 'banner' | 'desktop' | { type: 'webhook', url } | { type: 'command', command }
+  alertRules: []
 };
 
 function loadSettings() {
@@ -61,15 +106,265 @@ function getGatewayConfig() {
   try {
     const raw = fs.readFileSync(configPath, 'utf8');
     const config = JSON.parse(raw);
+    const port = config.gateway?.port || 18789;
     return {
-      port: config.gateway?.port || 18789,
+      port,
       token: config.gateway?.auth?.token,
+      url: `http://127.0.0.1:${port}`,
+    };
+  } catch {
+    return { port: 18789, token: null, url: 'http://127.0.0.1:18789' };
+  }
+}
+
+// Daily spend ledger: { "YYYY-MM-DD": { cost, unpricedTokens } }
+const COSTS_PATH = process.env.HOME + '/.openclaw/dashboard-costs.json';
+const COST_LEDGER_DAYS = 30;
+
+function loadCostLedger() {
+  try {
+    return JSON.parse(fs.readFileSync(COSTS_PATH, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function saveCostLedger(ledger) {
+  try {
+    const days = Object.keys(ledger).sort().slice(-COST_LEDGER_DAYS);
+    fs.writeFileSync(COSTS_PATH, JSON.stringify(Object.fromEntries(days.map(d => [d, ledger[d]])), null, 2));
+  } catch {}
+}
+
+// Local calendar day, e.g. 2026-02-19
+function dayKey(date = new Date()) {
+  return date.toLocaleDateString('en-CA');
+}
+
+// Authenticated HTTP health check against the gateway. Resolves (never rejects)
+// with { ok, status, latencyMs, error }; ok means a 2xx response within the timeout.
+function probeGateway({ url, token, timeoutMs = 3000 }) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      resolve({ latencyMs: Date.now() - started, ...result });
+    };
+    try {
+      const target = new URL(url);
+      const client = target.protocol === 'https:' ? https : http;
+      const headers = { 'User-Agent': 'claw-dashboard' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const req = client.get(target, { headers }, (res) => {
+        res.resume();
+        res.on('end', () => finish({ ok: res.statusCode >= 200 && res.statusCode < 300, status: res.statusCode, error: null }));
+      });
+      req.on('error', (err) => finish({ ok: false, status: null, error: err.code || err.message }));
+      req.setTimeout(timeoutMs, () => {
+        finish({ ok: false, status: null, error: 'timeout' });
+        req.destroy();
+      });
+    } catch (err) {
+      finish({ ok: false, status: null, error: err.message });
+    }
+  });
+}
+
+// GET a JSON document with an optional bearer token. Resolves (never rejects)
+// with { ok, status, body, error }.
+function fetchJSON({ url, token, timeoutMs = 3000 }) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const finish = (result) => {
+      if (!settled) { settled = true; resolve(result); }
+    };
+    try {
+      const target = new URL(url);
+      const client = target.protocol === 'https:' ? https : http;
+      const headers = { 'User-Agent': 'claw-dashboard', Accept: 'application/json' };
+      if (token) headers.Authorization = `Bearer ${token}`;
+      const req = client.get(target, { headers }, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          const ok = res.statusCode >= 200 && res.statusCode < 300;
+          try {
+            finish({ ok, status: res.statusCode, body: JSON.parse(data), error: ok ? null : `HTTP ${res.statusCode}` });
+          } catch {
+            finish({ ok: false, status: res.statusCode, body: null, error: ok ? 'invalid JSON' : `HTTP ${res.statusCode}` });
+          }
+        });
+      });
+      req.on('error', (err) => finish({ ok: false, status: null, body: null, error: err.code || err.message }));
+      req.setTimeout(timeoutMs, () => {
+        finish({ ok: false, status: null, body: null, error: 'timeout' });
+        req.destroy();
+      });
+    } catch (err) {
+      finish({ ok: false, status: null, body: null, error: err.message });
+    }
+  });
+}
+
+// POST a JSON body. Resolves (never rejects) with { ok, status, error }.
+function postJSON({ url, body, headers = {}, timeoutMs = 5000 }) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const finish = (result) => {
+      if (!settled) { settled = true; resolve(result); }
+    };
+    try {
+      const target = new URL(url);
+      const client = target.protocol === 'https:' ? https : http;
+      const payload = JSON.stringify(body);
+      const req = client.request(target, {
+        method: 'POST',
+        headers: { 'User-Agent': 'claw-dashboard', 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers }
+      }, (res) => {
+        res.resume();
+        res.on('end', () => {
+          const ok = res.statusCode >= 200 && res.statusCode < 300;
+          finish({ ok, status: res.statusCode, error: ok ? null : `HTTP ${res.statusCode}` });
+        });
+      });
+      req.on('error', (err) => finish({ ok: false, status: null, error: err.code || err.message }));
+      req.setTimeout(timeoutMs, () => {
+        finish({ ok: false, status: null, error: 'timeout' });
+        req.destroy();
+      });
+      req.end(payload);
+    } catch (err) {
+      finish({ ok: false, status: null, error: err.message });
+    }
+  });
+}
+
+// Incremental Server-Sent Events parser. Feed it text chunks; it calls onEvent
+// with { type, data, id } for every complete event (data lines joined by \n).
+function createSSEParser(onEvent) {
+  let buffer = '';
+  let event = { type: 'message', data: [], id: null };
+  return (chunk) => {
+    buffer += chunk;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line === '') {
+        if (event.data.length) onEvent({ type: event.type, data: event.data.join('\n'), id: event.id });
+        event = { type: 'message', data: [], id: null };
+        continue;
+      }
+      if (line.startsWith(':')) continue;
+      const sep = line.indexOf(':');
+      const field = sep === -1 ? line : line.substring(0, sep);
+      const value = sep === -1 ? '' : line.substring(sep + 1).replace(/^ /, '');
+      if (field === 'event') event.type = value;
+      else if (field === 'data') event.data.push(value);
+      else if (field === 'id') event.id = value;
+    }
+  };
+}
+
+// Gateway event feed over SSE. Emits 'open', 'event' ({ type, data, id }) and
+// 'close' (reason); reconnects with exponential backoff until stop() is called.
+// A connection with no bytes (events or heartbeat comments) for idleTimeoutMs is
+// treated as dead, so a half-open socket after sleep/wake falls back to polling.
+class GatewayEventStream extends EventEmitter {
+  constructor({ url, token, minDelayMs = 1000, maxDelayMs = 30000, idleTimeoutMs = 45000 }) {
+    super();
+    this.url = url;
+    this.token = token;
+    this.minDelayMs = minDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.delay = minDelayMs;
+    this.connected = false;
+    this.stopped = true;
+  }
+
+  start() {
+    this.stopped = false;
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.retryTimer);
+    this.req?.destroy();
+    this.connected = false;
+  }
+
+  connect() {
+    let done = false;
+    const fail = (reason) => {
+      if (done) return;
+      done = true;
+      this.connected = false;
+      this.emit('close', reason);
+      if (this.stopped) return;
+      this.retryTimer = setTimeout(() => this.connect(), this.delay);
+      this.delay = Math.min(this.delay * 2, this.maxDelayMs);
     };
+    try {
+      const target = new URL(this.url);
+      const client = target.protocol === 'https:' ? https : http;
+      const headers = { 'User-Agent': 'claw-dashboard', Accept: 'text/event-stream' };
+      if (this.token) headers.Authorization = `Bearer ${this.token}`;
+      const req = this.req = client.get(target, { headers }, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          return fail(`HTTP ${res.statusCode}`);
+        }
+        this.delay = this.minDelayMs;
+        this.connected = true;
+        this.emit('open');
+        res.setEncoding('utf8');
+        res.on('data', createSSEParser(event => this.emit('event', event)));
+        res.on('end', () => fail('closed'));
+        res.on('error', (err) => fail(err.code || err.message));
+      });
+      req.on('error', (err) => fail(err.code || err.message));
+      // Socket inactivity, while connecting or between chunks
+      req.setTimeout(this.idleTimeoutMs, () => {
+        fail('timeout');
+        req.destroy();
+      });
+    } catch (err) {
+      fail(err.message);
+    }
+  }
+}
+
+// host:port of an http(s) instance url, or null when it can't be polled
+// ("gateway.local:3000" parses, but as a "gateway.local:" scheme)
+function instanceHost(url) {
+  try {
+    const target = new URL(url);
+    return ['http:', 'https:'].includes(target.protocol) && target.host ? target.host : null;
   } catch {
-    return { port: 18789, token: null };
+    return null;
   }
 }
 
+// Poll a remote OpenClaw instance: gateway health plus its session list.
+// Resolves with the instance's new state; failures land in `error`.
+async function pollInstance(instance, healthPath) {
+  const [health, sessions] = await Promise.all([
+    probeGateway({ url: instance.url + healthPath, token: instance.token }),
+    fetchJSON({ url: instance.url + (instance.sessionsPath || '/api/sessions'), token: instance.token })
+  ]);
+  return {
+    health,
+    online: health.ok,
+    // Tagged with the instance so they never share ids (or TPS, transcripts) with local rows
+    sessions: sessions.ok ? parseRemoteSessions(sessions.body).map(s => ({ ...s, instance: instance.name })) : [],
+    error: sessions.ok ? null : sessions.error,
+    updatedAt: Date.now()
+  };
+}
+
 const C = {
   green: 'green', brightGreen: 'bright-green',
   yellow: 'yellow', brightYellow: 'bright-yellow',
@@ -99,79 +394,168 @@ function toTagColor(color) {
   return color.replace(/([A-Z])/g, '-$1').toLowerCase();
 }
 
-// Detect log level from a line and return colored version
-function colorizeLogLine(line) {
-  if (!line || typeof line !== 'string') return line;
-  
-  let matchedLevel = null;
-  let levelStart = -1;
-  let levelEnd = -1;
-  
-  // Check for bracketed levels first: [ERROR], [WARN], etc.
-  for (const level of ['error', 'warn', 'info', 'debug']) {
-    const escapedLevel = level.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const pattern = new RegExp(`\\[${escapedLevel.toUpperCase()}\\]`, 'i');
-    const match = line.match(pattern);
-    if (match) {
-      matchedLevel = level;
-      levelStart = match.index;
-      levelEnd = levelStart + match[0].length;
-      break;
+// Level names seen in OpenClaw and plugin logs, folded into error/warn/info/debug
+const LOG_LEVEL_ALIASES = {
+  fatal: 'error', critical: 'error', crit: 'error', error: 'error', err: 'error',
+  warning: 'warn', warn: 'warn',
+  notice: 'info', info: 'info',
+  debug: 'debug', trace: 'debug', verbose: 'debug'
+};
+const LOG_LEVELS = Object.keys(LOG_LEVEL_ALIASES).join('|');
+const LOG_TIME_PATTERN = /^\[?(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\]?\s*/;
+const LOG_LEADING_LEVEL = new RegExp(`^(?:\\[(${LOG_LEVELS})\\]|-(${LOG_LEVELS})-|(${LOG_LEVELS}):)(?=\\s|$)\\s*`, 'i');
+const LOG_BARE_LEVEL = new RegExp(`^(${LOG_LEVELS})(?=\\s|$)\\s*`, 'i');
+const LOG_ANY_LEVEL = new RegExp(`\\[(${LOG_LEVELS})\\]|-(${LOG_LEVELS})-|\\b(${LOG_LEVELS}):`, 'i');
+const LOG_SUBSYSTEM = /^(?:\[([a-z][\w.\/-]*)\]\s*|([a-z][\w.-]*(?:\/[\w.-]+)*):\s+)/i;
+
+function normalizeLogLevel(level) {
+  if (typeof level === 'number') return level >= 50 ? 'error' : level >= 40 ? 'warn' : level >= 30 ? 'info' : 'debug';
+  return level == null ? null : LOG_LEVEL_ALIASES[String(level).toLowerCase()] || null;
+}
+
+// JSON log lines: pino-style (time, level, msg, module/name) and tslog-style
+// (_meta.date, _meta.logLevelName, positional "0", "1"... arguments)
+function parseJsonLogLine(obj, entry) {
+  const meta = obj._meta || {};
+  let time = obj.time ?? obj.timestamp ?? obj.ts ?? obj['@timestamp'] ?? meta.date ?? null;
+  if (typeof time === 'number') time = new Date(time < 1e12 ? time * 1000 : time).toISOString();
+  const rawSubsystem = obj.subsystem ?? obj.module ?? obj.component ?? obj.name ?? meta.name ?? null;
+  let subsystem = rawSubsystem;
+  // tslog sub-loggers are often named with a JSON blob like {"subsystem":"gateway/ws"},
+  // which is also repeated as the first positional argument
+  if (typeof subsystem === 'string' && subsystem.startsWith('{')) {
+    try { subsystem = JSON.parse(subsystem).subsystem ?? subsystem; } catch {}
+  }
+  const positional = Object.keys(obj).filter(k => /^\d+$/.test(k)).map(k => obj[k]).filter(v => v !== rawSubsystem);
+  const message = obj.msg ?? obj.message ??
+    (positional.length ? positional.map(v => typeof v === 'string' ? v : JSON.stringify(v)).join(' ') : null);
+  return {
+    ...entry,
+    json: true,
+    time: time == null ? null : String(time),
+    level: normalizeLogLevel(obj.level ?? obj.severity ?? obj.lvl ?? meta.logLevelName),
+    subsystem: subsystem == null ? null : String(subsystem),
+    message: message == null ? JSON.stringify(obj) : String(message)
+  };
+}
+
+// Split a log line into { time, level, subsystem, message }. Understands JSON
+// lines and plain ones like "[ts] [LEVEL] [subsystem] msg", "ts level subsystem: msg",
+// "LEVEL: msg" and "-LEVEL-". level is error/warn/info/debug; anything not found
+// is null. For plain lines timeSpan/levelSpan are [start, end] offsets in the line.
+function parseLogLine(line) {
+  const entry = { time: null, level: null, subsystem: null, message: line || '', json: false, timeSpan: null, levelSpan: null };
+  if (!line || typeof line !== 'string') return entry;
+  if (line[0] === '{') {
+    try {
+      const obj = JSON.parse(line);
+      if (obj && typeof obj === 'object' && !Array.isArray(obj)) return parseJsonLogLine(obj, entry);
+    } catch {}
+  }
+
+  let pos = 0;
+  const time = line.match(LOG_TIME_PATTERN);
+  if (time) {
+    const start = line.indexOf(time[1]);
+    entry.time = time[1];
+    entry.timeSpan = [start, start + time[1].length];
+    pos = time[0].length;
+  }
+
+  // A bare level word only counts right after a timestamp ("ts info ..."),
+  // otherwise it is too easy to mistake the first word of a message for one
+  const rest = line.substring(pos);
+  const leading = rest.match(LOG_LEADING_LEVEL) || (time ? rest.match(LOG_BARE_LEVEL) : null);
+  if (leading) {
+    const name = leading[1] || leading[2] || leading[3];
+    const start = pos + leading[0].search(/\S/);
+    entry.level = normalizeLogLevel(name);
+    entry.levelSpan = [start, start + leading[0].trimEnd().length];
+    pos += leading[0].length;
+  } else {
+    const anywhere = rest.match(LOG_ANY_LEVEL);
+    if (anywhere) {
+      const start = pos + anywhere.index;
+      entry.level = normalizeLogLevel(anywhere[1] || anywhere[2] || anywhere[3]);
+      entry.levelSpan = [start, start + anywhere[0].length];
     }
   }
-  
-  // If no bracketed level, check for standalone level after ISO timestamp
-  if (!matchedLevel) {
-    // Match ISO timestamp (2026-02-13T15:19:29.870Z) followed by level
-    const isoPattern = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d{3})?Z?)\s+(\w+)/i;
-    const match = line.match(isoPattern);
-    if (match) {
-      const levelFromTimestamp = match[2].toLowerCase();
-      if (['error', 'warn', 'info', 'debug'].includes(levelFromTimestamp)) {
-        matchedLevel = levelFromTimestamp;
-        // Level starts after timestamp + space
-        levelStart = match[1].length + 1;
-        levelEnd = levelStart + matchedLevel.length;
-      }
+
+  if (time || leading) {
+    const subsystem = line.substring(pos).match(LOG_SUBSYSTEM);
+    if (subsystem) {
+      entry.subsystem = subsystem[1] || subsystem[2];
+      pos += subsystem[0].length;
     }
   }
-  
-  if (!matchedLevel) {
-    // No recognized level - return gray for timestamp, rest unchanged
-    return '{gray-fg}' + line + '{/gray-fg}';
+  entry.message = line.substring(pos);
+  return entry;
+}
+
+// "12s ago" for a parseable timestamp, otherwise the timestamp unchanged
+function formatRelativeTime(time, now = Date.now()) {
+  const ms = Date.parse(time);
+  return Number.isNaN(ms) ? time : `${formatIdle(Math.max(0, now - ms))} ago`;
+}
+
+// Color a log line by its level (or the given color), with the level token itself
+// in white. JSON lines are shown in the same "time LEVEL [subsystem] message"
+// shape as plain ones.
+function colorizeLogLine(line, { relativeTime = false, now = Date.now(), color = null } = {}) {
+  if (!line || typeof line !== 'string') return line;
+  const entry = parseLogLine(line);
+  const showTime = (time) => relativeTime ? formatRelativeTime(time, now) : time;
+
+  let text = line;
+  let levelSpan = entry.levelSpan;
+  if (entry.json) {
+    const time = entry.time ? showTime(entry.time) + ' ' : '';
+    const level = entry.level ? entry.level.toUpperCase() : '';
+    const subsystem = entry.subsystem ? `[${entry.subsystem}] ` : '';
+    text = time + (level ? level + ' ' : '') + subsystem + entry.message;
+    levelSpan = level ? [time.length, time.length + level.length] : null;
+  } else if (relativeTime && entry.timeSpan) {
+    const [start, end] = entry.timeSpan;
+    const shown = showTime(entry.time);
+    text = line.substring(0, start) + shown + line.substring(end);
+    const shift = shown.length - (end - start);
+    if (levelSpan) levelSpan = [levelSpan[0] + shift, levelSpan[1] + shift];
   }
-  
-  const color = LOG_COLORS[matchedLevel] || 'gray';
-  const tagColor = toTagColor(color);
-  
-  const before = line.substring(0, levelStart);
-  const levelStr = line.substring(levelStart, levelEnd);
-  const after = line.substring(levelEnd);
-  
+
+  if (!entry.level) {
+    // No recognized level - show the whole line in gray
+    const tagColor = toTagColor(color || 'gray');
+    return '{' + tagColor + '-fg}' + blessed.escape(text) + '{/' + tagColor + '-fg}';
+  }
+
+  const tagColor = toTagColor(color || LOG_COLORS[entry.level] || 'gray');
+  const before = blessed.escape(text.substring(0, levelSpan[0]));
+  const levelStr = blessed.escape(text.substring(levelSpan[0], levelSpan[1]));
+  const after = blessed.escape(text.substring(levelSpan[1]));
+
   return '{' + tagColor + '-fg}' + before + '{/' + tagColor + '-fg}{white-fg}' + levelStr + '{/white-fg}{' + tagColor + '-fg}' + after + '{/' + tagColor + '-fg}';
 }
 
-// Get filter function for log level
-function getLogFilterFn(filter) {
-  if (filter === 'all') return () => true;
+// Get filter function for log level and, optionally, subsystem. A subsystem
+// filter also matches its children ("gateway" matches "gateway/ws").
+function getLogFilterFn(filter, subsystem = 'all') {
+  if (filter === 'all' && subsystem === 'all') return () => true;
   
   const levelPriorities = { error: 4, warn: 3, info: 2, debug: 1 };
-  const filterPriority = levelPriorities[filter] || 0;
+  const filterPriority = filter === 'all' ? 0 : levelPriorities[filter] || 0;
   
   // debug shows ONLY debug, other filters show that level and above
   const exactMatchOnly = (filter === 'debug');
+  const wanted = subsystem.toLowerCase();
   
   return (line) => {
     if (!line) return false;
-    const upper = line.toUpperCase();
-    let linePriority = 0;
-    for (const [level, priority] of Object.entries(levelPriorities)) {
-      if (upper.includes('[' + level.toUpperCase() + ']') || 
-          upper.includes(level.toUpperCase() + ':') ||
-          upper.includes('-' + level.toUpperCase() + '-')) {
-        linePriority = Math.max(linePriority, priority);
-      }
+    const entry = parseLogLine(line);
+    if (subsystem !== 'all') {
+      const name = (entry.subsystem || '').toLowerCase();
+      if (name !== wanted && !name.startsWith(wanted + '/')) return false;
     }
+    const linePriority = levelPriorities[entry.level] || 0;
     // No level detected in line - show if filtering is off (all) or lenient
     if (linePriority === 0) return filterPriority <= 1;
     
@@ -182,6 +566,132 @@ function getLogFilterFn(filter) {
   };
 }
 
+const LOG_RATE_MINUTES = 30;
+
+// Per-minute error and warn line counts for the last LOG_RATE_MINUTES minutes.
+// The last bucket is the current, still-filling minute.
+function createLogRates(now = Date.now()) {
+  return {
+    minute: Math.floor(now / 60000),
+    tracked: 0, // complete minutes seen, so the baseline ignores the empty start
+    error: new Array(LOG_RATE_MINUTES).fill(0),
+    warn: new Array(LOG_RATE_MINUTES).fill(0),
+    spikeMinute: null
+  };
+}
+
+function advanceLogRates(rates, now = Date.now()) {
+  const minute = Math.floor(now / 60000);
+  if (minute <= rates.minute) return;
+  for (let i = 0; i < Math.min(LOG_RATE_MINUTES, minute - rates.minute); i++) {
+    rates.error.push(0); rates.error.shift();
+    rates.warn.push(0); rates.warn.shift();
+  }
+  rates.tracked += minute - rates.minute;
+  rates.minute = minute;
+}
+
+// Count a line by the level parseLogLine finds, the same one the level filter uses
+function countLogLine(rates, line, now = Date.now()) {
+  advanceLogRates(rates, now);
+  const level = parseLogLine(line).level;
+  if (level === 'error' || level === 'warn') rates[level][LOG_RATE_MINUTES - 1]++;
+  return level;
+}
+
+// Average errors per minute over the complete minutes in the window
+function errorBaseline(rates) {
+  const minutes = Math.min(rates.tracked, LOG_RATE_MINUTES - 1);
+  if (!minutes) return 0;
+  return rates.error.slice(-1 - minutes, -1).reduce((a, b) => a + b, 0) / minutes;
+}
+
+function isErrorSpike(rates, { multiplier = 3, minimum = 5 } = {}) {
+  const current = rates.error[LOG_RATE_MINUTES - 1];
+  return current >= minimum && current > errorBaseline(rates) * multiplier;
+}
+
+const LOG_RULE_ACTIONS = ['mute', 'highlight', 'alert'];
+
+// Compile the logRules setting, skipping entries with a bad action or regex
+function compileLogRules(rules = []) {
+  return rules.flatMap(rule => {
+    if (!rule?.pattern || !LOG_RULE_ACTIONS.includes(rule.action)) return [];
+    try {
+      return [{
+        action: rule.action,
+        color: rule.color || (rule.action === 'alert' ? C.brightRed : C.magenta),
+        regex: new RegExp(rule.pattern, (rule.flags ?? 'i').replace('g', ''))
+      }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// Fixed-capacity ring buffer of log lines; the oldest lines drop off first
+class LogBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+    this.total = 0; // lines ever pushed; line n (0-based) is buffered while n >= total - size
+  }
+
+  push(...lines) {
+    for (const line of lines) {
+      this.items[(this.start + this.size) % this.capacity] = line;
+      if (this.size < this.capacity) this.size++;
+      else this.start = (this.start + 1) % this.capacity;
+      this.total++;
+    }
+  }
+
+  // i-th buffered line, oldest first
+  get(i) {
+    return this.items[(this.start + i) % this.capacity];
+  }
+
+  last() {
+    return this.size ? this.get(this.size - 1) : undefined;
+  }
+
+  toArray() {
+    const out = new Array(this.size);
+    for (let i = 0; i < this.size; i++) out[i] = this.get(i);
+    return out;
+  }
+
+  // Append the part of an `openclaw logs --limit N` batch that isn't buffered yet:
+  // everything after the last occurrence of our newest line, or all of it when
+  // that line has already scrolled out of the batch
+  mergeTail(batch) {
+    const last = this.last();
+    const idx = last === undefined ? -1 : batch.lastIndexOf(last);
+    const added = batch.slice(idx + 1);
+    this.push(...added);
+    return added;
+  }
+}
+
+// Escape a line for blessed tags, highlighting every match of pattern
+function highlightMatches(line, pattern, color = 'yellow') {
+  let out = '';
+  let last = 0;
+  for (const m of line.matchAll(pattern)) {
+    if (!m[0]) break;
+    out += blessed.escape(line.substring(last, m.index));
+    out += `{black-fg}{${color}-bg}${blessed.escape(m[0])}{/${color}-bg}{/black-fg}`;
+    last = m.index + m[0].length;
+  }
+  return out + blessed.escape(line.substring(last));
+}
+
+function searchPattern(query) {
+  return new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+}
+
 const ASCII_LOGO = [
   '   ██████╗██╗      █████╗ ██╗    ██╗   ',
   '  ██╔════╝██║     ██╔══██╗██║    ██║   ',
@@ -207,6 +717,27 @@ function sparkline(data, width = 15) {
   }).join('');
 }
 
+const CORE_HISTORY_LENGTH = 20;
+
+// A core is pinned when it has stayed at or above `threshold` for the last
+// `samples` refreshes while the other cores averaged under half that: the
+// signature of one single-threaded process saturating a core.
+// Returns { core, load, othersAvg } for the busiest such core, or null.
+function findPinnedCore(coreHistory, { threshold = 90, samples = 3 } = {}) {
+  if (coreHistory.length < 2) return null;
+  const recent = coreHistory.map(h => h.slice(-samples));
+  if (recent[0].length < samples) return null;
+  const avg = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+  let pinned = null;
+  recent.forEach((loads, core) => {
+    if (!loads.every(load => load >= threshold)) return;
+    const othersAvg = avg(recent.filter((_, i) => i !== core).flat());
+    const load = loads[loads.length - 1];
+    if (othersAvg < threshold / 2 && (!pinned || load > pinned.load)) pinned = { core, load, othersAvg };
+  });
+  return pinned;
+}
+
 function getColor(percent) {
   if (percent >= 80) return C.red;
   if (percent >= 60) return C.yellow;
@@ -221,6 +752,40 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
+// Per-interface rates from two si.networkStats('*') samples; counters that went
+// backwards (interface reset) count as zero
+function interfaceRates(stats, previous = {}, elapsedSec = 0) {
+  return stats.map(n => {
+    const prev = previous[n.iface];
+    const rate = (now, before) => prev && elapsedSec > 0 ? Math.max(0, now - before) / elapsedSec : 0;
+    return {
+      iface: n.iface,
+      operstate: n.operstate,
+      // networkStats() has no internal flag; loopback is the internal one
+      internal: n.internal ?? /^lo\d*$/.test(n.iface),
+      rxSec: rate(n.rx_bytes, prev?.rx_bytes),
+      txSec: rate(n.tx_bytes, prev?.tx_bytes),
+      rxTotal: n.rx_bytes,
+      txTotal: n.tx_bytes
+    };
+  });
+}
+
+// The interface the NETWORK box follows: a pinned one by name, the sum of every
+// up, non-internal interface for 'all', or the first of those for 'auto'
+function selectInterface(interfaces, mode = 'auto') {
+  const external = interfaces.filter(n => n.operstate === 'up' && !n.internal);
+  if (mode === 'all') {
+    const sum = (key) => external.reduce((total, n) => total + n[key], 0);
+    return {
+      interface: `all (${external.length})`,
+      rxSec: sum('rxSec'), txSec: sum('txSec'), rxTotal: sum('rxTotal'), txTotal: sum('txTotal')
+    };
+  }
+  const picked = (mode !== 'auto' && interfaces.find(n => n.iface === mode)) || external[0] || interfaces[0];
+  return picked ? { ...picked, interface: picked.iface } : null;
+}
+
 function formatBitsPerSecond(bytesPerSec) {
   const bitsPerSec = bytesPerSec * 8;
   if (bitsPerSec === 0) return '0';
@@ -255,26 +820,265 @@ function formatDuration(seconds) {
   return `${mins}m`;
 }
 
-async function getGatewayUptime() {
+// Gateway process locators, tried in order by locateGateway(). Each takes an io
+// object ({ exec, execFile, readFile, readdir, pidAlive }) so tests can feed fixture output,
+// and resolves to { pid, startedAt, restarts } or null when it finds nothing.
+const GATEWAY_SYSTEMD_UNIT = 'openclaw-gateway';
+const GATEWAY_PIDFILES = ['gateway.pid', 'run/gateway.pid'];
+// The openclaw-gateway binary itself, not a command line that mentions the unit or its log
+const GATEWAY_CMDLINE_PATTERN = /(?:^|\/)openclaw(?:\.m?js)?\s+gateway\b|openclaw\/\S*\.m?js\s+gateway\b|(?:^|\/)openclaw-gateway(?:\s|$)/i;
+
+// Clock ticks per second and page size, for the numbers in /proc. Usually 100
+// and 4096, but arm64 kernels (Asahi, some distros) use 16K or 64K pages, so
+// ask getconf once.
+let procConstants = null;
+function getProcConstants() {
+  if (!procConstants) {
+    const conf = (name, fallback) => {
+      try {
+        return parseInt(execFileSync('getconf', [name], { encoding: 'utf8', timeout: 1000, stdio: ['ignore', 'pipe', 'ignore'] })) || fallback;
+      } catch {
+        return fallback;
+      }
+    };
+    procConstants = { clockTicks: conf('CLK_TCK', 100), pageSize: conf('PAGESIZE', 4096) };
+  }
+  return procConstants;
+}
+
+const defaultIO = {
+  exec: async (cmd) => (await execAsync(cmd, { timeout: 2000 })).stdout,
+  // No shell, so it works the same under cmd.exe; stderr is captured, not shown
+  execFile: async (file, args) => (await execFileAsync(file, args, { timeout: 2000 })).stdout,
+  readFile: (path) => fs.readFileSync(path, 'utf8'),
+  readdir: (path) => fs.readdirSync(path),
+  pidAlive: (pid) => { try { process.kill(pid, 0); return true; } catch (err) { return err.code === 'EPERM'; } }
+};
+
+// `launchctl list` rows are "PID<tab>Status<tab>Label"; PID is "-" when not running
+function parseLaunchctlList(stdout) {
+  for (const line of stdout.split('\n')) {
+    const [pid, , label] = line.trim().split(/\s+/);
+    if (label && /gateway/i.test(label) && /^\d+$/.test(pid)) return { pid: parseInt(pid), label };
+  }
+  return null;
+}
+
+// `launchctl print` counts every spawn in "runs = N"
+function parseLaunchctlPrint(stdout) {
+  const runs = stdout.match(/^\s*runs = (\d+)/m);
+  return { restarts: runs ? Math.max(0, parseInt(runs[1]) - 1) : null };
+}
+
+// `systemctl show -p MainPID,ActiveEnterTimestamp,NRestarts` key=value output
+function parseSystemctlShow(stdout) {
+  const props = Object.fromEntries(stdout.split('\n')
+    .filter(line => line.includes('='))
+    .map(line => [line.substring(0, line.indexOf('=')), line.substring(line.indexOf('=') + 1).trim()]));
+  const pid = parseInt(props.MainPID);
+  if (!pid) return null;
+  // "Mon 2026-02-16 10:12:01 UTC" - drop the weekday so Date can parse it
+  const startedAt = new Date((props.ActiveEnterTimestamp || '').replace(/^[A-Za-z]{3} /, ''));
+  return {
+    pid,
+    startedAt: isNaN(startedAt.getTime()) ? null : startedAt.getTime(),
+    restarts: props.NRestarts != null && props.NRestarts !== '' ? parseInt(props.NRestarts) : null
+  };
+}
+
+// Start time (ms) from /proc/<pid>/stat field 22 (clock ticks after boot) and /proc/stat btime
+function parseProcStartTime(statText, procStatText, hz = getProcConstants().clockTicks) {
+  const fields = statText.substring(statText.lastIndexOf(')') + 2).split(' ');
+  const startTicks = parseInt(fields[19]);
+  const btime = procStatText.match(/^btime (\d+)/m);
+  if (isNaN(startTicks) || !btime) return null;
+  return (parseInt(btime[1]) + startTicks / hz) * 1000;
+}
+
+// Process start time (ms): /proc where it exists, ps elsewhere
+async function getProcessStartTime(pid, io = defaultIO) {
   try {
-    // Get PID from launchctl - filter for gateway process
-    const { stdout: launchctlOut } = await execAsync('launchctl list | grep gateway 2>/dev/null', { timeout: 2000 });
-    // Match PID after any leading dashes/tabs
-    const pidMatch = launchctlOut.trim().match(/^(\d+)\s/);
-    if (!pidMatch) return null;
-    const pid = pidMatch[1];
-    // Get process start time
-    const { stdout: psOut } = await execAsync(`ps -o lstart= -p ${pid} 2>/dev/null`, { timeout: 2000 });
-    const startTime = new Date(psOut.trim());
-    if (isNaN(startTime.getTime())) return null;
-    return Math.floor((Date.now() - startTime.getTime()) / 1000);
+    return parseProcStartTime(io.readFile(`/proc/${pid}/stat`), io.readFile('/proc/stat'));
+  } catch {}
+  try {
+    const startTime = new Date((await io.exec(`ps -o lstart= -p ${pid} 2>/dev/null`)).trim());
+    return isNaN(startTime.getTime()) ? null : startTime.getTime();
   } catch {
     return null;
   }
 }
 
+async function locateViaLaunchd(io = defaultIO) {
+  const found = parseLaunchctlList(await io.exec('launchctl list 2>/dev/null'));
+  if (!found) return null;
+  let restarts = null;
+  try {
+    const uid = process.getuid?.() ?? 501;
+    ({ restarts } = parseLaunchctlPrint(await io.exec(`launchctl print gui/${uid}/${found.label} 2>/dev/null`)));
+  } catch {}
+  return { pid: found.pid, startedAt: await getProcessStartTime(found.pid, io), restarts };
+}
+
+async function locateViaSystemd(io = defaultIO) {
+  // User units first (the usual install), then system units
+  for (const scope of ['--user ', '']) {
+    try {
+      const found = parseSystemctlShow(await io.exec(`systemctl ${scope}show ${GATEWAY_SYSTEMD_UNIT} -p MainPID,ActiveEnterTimestamp,NRestarts 2>/dev/null`));
+      if (found) return { ...found, startedAt: found.startedAt ?? await getProcessStartTime(found.pid, io) };
+    } catch {}
+  }
+  return null;
+}
+
+async function locateViaPidfile(io = defaultIO) {
+  for (const name of GATEWAY_PIDFILES) {
+    let pid;
+    try { pid = parseInt(io.readFile(join(process.env.HOME, '.openclaw', name))); } catch { continue; }
+    if (pid && io.pidAlive(pid)) return { pid, startedAt: await getProcessStartTime(pid, io), restarts: null };
+  }
+  return null;
+}
+
+async function locateViaProc(io = defaultIO) {
+  for (const entry of io.readdir('/proc')) {
+    if (!/^\d+$/.test(entry) || parseInt(entry) === process.pid) continue;
+    let cmdline;
+    try { cmdline = io.readFile(`/proc/${entry}/cmdline`).replace(/\0/g, ' '); } catch { continue; }
+    if (GATEWAY_CMDLINE_PATTERN.test(cmdline)) {
+      const pid = parseInt(entry);
+      return { pid, startedAt: await getProcessStartTime(pid, io), restarts: null };
+    }
+  }
+  return null;
+}
+
+const GATEWAY_LOCATORS = [
+  { name: 'launchd', platforms: ['darwin'], locate: locateViaLaunchd },
+  { name: 'systemd', platforms: ['linux'], locate: locateViaSystemd },
+  { name: 'pidfile', locate: locateViaPidfile },
+  { name: 'proc', platforms: ['linux'], locate: locateViaProc }
+];
+
+// First locator that finds the gateway wins: { pid, startedAt, restarts, source }
+async function locateGateway(locators = GATEWAY_LOCATORS, io = defaultIO, platform = process.platform) {
+  for (const locator of locators) {
+    if (locator.platforms && !locator.platforms.includes(platform)) continue;
+    try {
+      const found = await locator.locate(io);
+      if (found) return { ...found, source: locator.name };
+    } catch {}
+  }
+  return null;
+}
+
+// powermetrics' GPU sampler gives utilization and frequency; the thermal and smc
+// samplers give the thermal pressure level, die temperatures and fan speed (the
+// latter two on Intel Macs). powermetrics needs root, so this is often empty.
+function parsePowermetrics(stdout) {
+  const number = (pattern) => {
+    const match = stdout.match(pattern);
+    return match ? parseFloat(match[1]) : null;
+  };
+  return {
+    utilization: number(/GPU (?:HW )?active residency:\s+(\d+\.?\d*)%/),
+    frequency: number(/GPU (?:HW )?(?:active )?frequency:\s+(\d+)\s*MHz/),
+    pressure: stdout.match(/pressure level:\s+(\w+)/i)?.[1] || null,
+    cpuTemp: number(/CPU die temperature:\s+(\d+\.?\d*)/),
+    gpuTemp: number(/GPU die temperature:\s+(\d+\.?\d*)/),
+    fan: number(/Fan:\s+(\d+\.?\d*)\s*rpm/i)
+  };
+}
+
+async function readPowermetrics() {
+  const { stdout } = await execAsync('powermetrics --samplers gpu_power,thermal,smc -n 1 -i 50 2>&1', { timeout: 3000 });
+  return parsePowermetrics(stdout);
+}
+
+const OPEN_FILES_INTERVAL_MS = 10000;
+
+// /proc/<pid>/stat after the command name: ppid, utime + stime (ticks), RSS (pages)
+function parseProcStat(statText, pageSize = getProcConstants().pageSize) {
+  const fields = statText.substring(statText.lastIndexOf(')') + 2).split(' ');
+  return { ppid: parseInt(fields[1]), ticks: parseInt(fields[11]) + parseInt(fields[12]), rss: parseInt(fields[21]) * pageSize };
+}
+
+// `ps -A -o pid=,ppid=,%cpu=,rss=` rows; rss is in KiB
+function parsePsTable(stdout) {
+  return stdout.trim().split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(fields => fields.length >= 4 && /^\d+$/.test(fields[0]))
+    .map(([pid, ppid, cpu, rss]) => ({ pid: parseInt(pid), ppid: parseInt(ppid), cpu: parseFloat(cpu), rss: parseInt(rss) * 1024 }));
+}
+
+async function readProcessTable(io = defaultIO, platform = process.platform) {
+  if (platform !== 'linux') return parsePsTable(await io.exec('ps -A -o pid=,ppid=,%cpu=,rss='));
+  const rows = [];
+  for (const entry of io.readdir('/proc')) {
+    if (!/^\d+$/.test(entry)) continue;
+    try { rows.push({ pid: parseInt(entry), ...parseProcStat(io.readFile(`/proc/${entry}/stat`)) }); } catch {}
+  }
+  return rows;
+}
+
+// The root process followed by all of its descendants
+function processTree(table, rootPid) {
+  const root = table.find(row => row.pid === rootPid);
+  if (!root) return [];
+  const children = new Map();
+  for (const row of table) {
+    if (!children.has(row.ppid)) children.set(row.ppid, []);
+    children.get(row.ppid).push(row);
+  }
+  const tree = [root];
+  for (let i = 0; i < tree.length; i++) {
+    tree.push(...(children.get(tree[i].pid) || []).filter(child => child.pid !== rootPid));
+  }
+  return tree;
+}
+
+async function countOpenFiles(pids, io = defaultIO, platform = process.platform) {
+  if (platform !== 'linux') {
+    const stdout = await io.exec(`lsof -a -p ${pids.join(',')} -F f 2>/dev/null`);
+    return stdout.split('\n').filter(line => line.startsWith('f')).length;
+  }
+  let total = 0;
+  for (const pid of pids) {
+    try { total += io.readdir(`/proc/${pid}/fd`).length; } catch {}
+  }
+  return total;
+}
+
+// Combined CPU % and RSS of a process and everything it spawned. On Linux CPU is
+// the tick delta since the previous sample (prev), so the first sample reads 0;
+// elsewhere ps reports it directly.
+async function getProcessFootprint(rootPid, prev = null, io = defaultIO, platform = process.platform, now = Date.now()) {
+  const tree = processTree(await readProcessTable(io, platform), rootPid);
+  if (!tree.length) return null;
+  const ticks = {};
+  let cpu = 0;
+  for (const proc of tree) {
+    if (proc.ticks == null) {
+      cpu += proc.cpu || 0;
+      continue;
+    }
+    ticks[proc.pid] = proc.ticks;
+    const before = prev?.ticks?.[proc.pid];
+    if (before != null && now > prev.at) cpu += Math.max(0, proc.ticks - before) / getProcConstants().clockTicks / ((now - prev.at) / 1000) * 100;
+  }
+  return {
+    pid: rootPid,
+    pids: tree.map(proc => proc.pid),
+    children: tree.length - 1,
+    cpu,
+    rss: tree.reduce((total, proc) => total + (proc.rss || 0), 0),
+    gatewayRss: tree[0].rss,
+    ticks,
+    at: now
+  };
+}
+
 async function getMacGPU() {
-  let model = null, utilization = null, frequency = null;
+  let model = null, utilization = null, frequency = null, temperature = null, thermal = null;
   
   try {
     const { stdout } = await execAsync('system_profiler SPDisplaysDataType -json 2>/dev/null', { timeout: 5000 });
@@ -297,11 +1101,11 @@ async function getMacGPU() {
   } catch {}
   
   try {
-    const { stdout } = await execAsync('powermetrics --samplers gpu_power -n 1 -i 50 2>&1 | grep -E "(GPU active|GPU frequency)" | head -5', { timeout: 3000 });
-    const utilMatch = stdout.match(/GPU active residency:\s+(\d+\.?\d*)%/);
-    const freqMatch = stdout.match(/GPU frequency:\s+(\d+)\s*MHz/);
-    if (utilMatch) utilization = parseFloat(utilMatch[1]);
-    if (freqMatch) frequency = parseInt(freqMatch[1]);
+    const metrics = await readPowermetrics();
+    utilization = metrics.utilization ?? utilization;
+    frequency = metrics.frequency;
+    temperature = metrics.gpuTemp;
+    thermal = { pressure: metrics.pressure, cpuTemp: metrics.cpuTemp, fan: metrics.fan };
   } catch {}
   
   if (!model) {
@@ -315,36 +1119,991 @@ async function getMacGPU() {
     return {
       model: model.trim(),
       short: model.replace(/Apple /, '').substring(0, 16),
-      utilization, frequency
+      utilization, frequency, temperature, thermal
     };
   }
   return null;
 }
 
-function calcTPS(session, prevSession, elapsedMs) {
-  if (!session || !prevSession || elapsedMs < 100) return null;
-  const currTokens = session.totalTokens || 0;
-  const prevTokens = prevSession.totalTokens || 0;
-  const diff = currTokens - prevTokens;
-  if (diff <= 0) return null;
-  const tps = diff / (elapsedMs / 1000);
-  return tps > 0 ? parseFloat(tps.toFixed(1)) : null;
+const NVIDIA_SMI_ARGS = ['--query-gpu=name,utilization.gpu,memory.used,memory.total,temperature.gpu,power.draw', '--format=csv,noheader,nounits'];
+const DRM_DIR = '/sys/class/drm';
+const AMD_PCI_VENDOR = '0x1002';
+const MIB = 1024 * 1024;
+
+function parseNumber(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
 }
 
-class Dashboard {
-  constructor() {
-    this.settings = loadSettings();
-    this.screen = blessed.screen({ smartCSR: true, title: 'Claw Dashboard' });
-    this.history = { cpu: new Array(HISTORY_LENGTH).fill(0), memory: new Array(HISTORY_LENGTH).fill(0), netRx: new Array(NETWORK_HISTORY_LENGTH).fill(0), netTx: new Array(NETWORK_HISTORY_LENGTH).fill(0) };
-    this.data = { cpu: [], memory: {}, openclaw: null, gpu: null, network: null, sessions: [], agents: [], version: null, latest: null, sessionTPS: {}, sessionLastTPS: {} };
-    this.prev = null;
-    this.lastTime = Date.now();
-    this.logLines = [];
-    this.isPaused = false;
-    this.init();
-    
-    // Handle terminal resize gracefully
-    process.stdout.on('error', (err) => {
+// One CSV row per GPU; fields a card doesn't report read "[N/A]" or "[Not Supported]"
+function parseNvidiaSmi(stdout) {
+  return stdout.trim().split('\n').filter(line => line.trim()).map(line => {
+    const [model, utilization, memUsed, memTotal, temperature, power] = line.split(',').map(f => f.trim());
+    return {
+      model,
+      utilization: parseNumber(utilization),
+      memUsed: parseNumber(memUsed) == null ? null : parseNumber(memUsed) * MIB,
+      memTotal: parseNumber(memTotal) == null ? null : parseNumber(memTotal) * MIB,
+      temperature: parseNumber(temperature),
+      power: parseNumber(power)
+    };
+  });
+}
+
+// Several GPUs show as one: average utilization, summed VRAM and power, hottest temperature
+function combineGPUs(gpus) {
+  if (gpus.length <= 1) return gpus[0] || null;
+  const values = (key) => gpus.map(g => g[key]).filter(v => v != null);
+  const sum = (key) => values(key).length ? values(key).reduce((a, b) => a + b, 0) : null;
+  return {
+    model: gpus[0].model,
+    count: gpus.length,
+    utilization: values('utilization').length ? sum('utilization') / values('utilization').length : null,
+    memUsed: sum('memUsed'),
+    memTotal: sum('memTotal'),
+    temperature: values('temperature').length ? Math.max(...values('temperature')) : null,
+    power: sum('power')
+  };
+}
+
+async function readNvidiaGPU(io) {
+  return combineGPUs(parseNvidiaSmi(await io.execFile('nvidia-smi', NVIDIA_SMI_ARGS)));
+}
+
+// amdgpu exposes utilization and VRAM under /sys/class/drm/cardN/device, and
+// temperature (millidegrees) and power (microwatts) under its hwmon directory
+async function readAmdGPU(io) {
+  const gpus = [];
+  const cards = io.readdir(DRM_DIR).filter(name => /^card\d+$/.test(name));
+  for (const card of cards) {
+    const device = `${DRM_DIR}/${card}/device`;
+    const read = (file) => { try { return io.readFile(`${device}/${file}`).trim(); } catch { return null; } };
+    if (read('vendor') !== AMD_PCI_VENDOR || read('gpu_busy_percent') == null) continue;
+    let hwmon = null;
+    try { hwmon = `hwmon/${io.readdir(`${device}/hwmon`)[0]}`; } catch {}
+    const temperature = hwmon ? parseNumber(read(`${hwmon}/temp1_input`)) : null;
+    const power = hwmon ? parseNumber(read(`${hwmon}/power1_average`) ?? read(`${hwmon}/power1_input`)) : null;
+    gpus.push({
+      model: read('product_name') || 'AMD Radeon GPU',
+      utilization: parseNumber(read('gpu_busy_percent')),
+      memUsed: parseNumber(read('mem_info_vram_used')),
+      memTotal: parseNumber(read('mem_info_vram_total')),
+      temperature: temperature == null ? null : temperature / 1000,
+      power: power == null ? null : power / 1e6
+    });
+  }
+  return combineGPUs(gpus);
+}
+
+async function readSystemInformationGPU() {
+  const { controllers } = await si.graphics();
+  const gpu = controllers?.find(c => c.model);
+  if (!gpu) return null;
+  const memTotal = gpu.memoryTotal ?? gpu.vram;
+  return {
+    model: gpu.model,
+    utilization: gpu.utilizationGpu ?? null,
+    memUsed: gpu.memoryUsed != null ? gpu.memoryUsed * MIB : null,
+    memTotal: memTotal != null ? memTotal * MIB : null,
+    temperature: gpu.temperatureGpu ?? null,
+    power: gpu.powerDraw ?? null
+  };
+}
+
+const GPU_BACKENDS = [
+  { name: 'nvidia', platforms: ['linux', 'win32'], read: readNvidiaGPU },
+  { name: 'amd', platforms: ['linux'], read: readAmdGPU },
+  { name: 'apple', platforms: ['darwin'], read: getMacGPU },
+  { name: 'systeminformation', read: readSystemInformationGPU }
+];
+
+// "NVIDIA GeForce RTX 4090" -> "RTX 4090", unless that leaves nothing useful
+function shortGPUName(model) {
+  const short = model.replace(/\b(?:Apple|NVIDIA|GeForce|AMD|Radeon)\b|\((?:R|TM)\)/gi, '').replace(/\s+/g, ' ').trim();
+  return (short.length > 3 ? short : model).substring(0, 16);
+}
+
+// First backend with a reading wins: { model, short, utilization, memUsed, memTotal,
+// temperature, power, frequency, count, source }. Fields a backend can't read are null.
+async function getGPU(backends = GPU_BACKENDS, io = defaultIO, platform = process.platform) {
+  for (const backend of backends) {
+    if (backend.platforms && !backend.platforms.includes(platform)) continue;
+    try {
+      const gpu = await backend.read(io);
+      if (!gpu?.model) continue;
+      return {
+        utilization: null, memUsed: null, memTotal: null, temperature: null, power: null, frequency: null, count: 1,
+        ...gpu,
+        model: gpu.model.trim(),
+        short: gpu.short || shortGPUName(gpu.model),
+        source: backend.name
+      };
+    } catch {}
+  }
+  return null;
+}
+
+const DISK_ROTATE_MS = 5000;
+const STATE_SIZE_INTERVAL_MS = 60000;
+
+// The mount a path lives on: the longest mount point that prefixes its real path
+function findMountFor(path, filesystems) {
+  let real = path;
+  try { real = fs.realpathSync(path); } catch {}
+  let best = null;
+  for (const f of filesystems) {
+    const prefix = f.mount.endsWith('/') ? f.mount : f.mount + '/';
+    if ((real === f.mount || real.startsWith(prefix)) && (!best || f.mount.length > best.mount.length)) best = f;
+  }
+  return best;
+}
+
+// Filesystems to show: the configured mounts ('/' if none), plus the one holding
+// ~/.openclaw, which is flagged since that is where sessions and transcripts grow
+function selectDiskMounts(filesystems, mounts = [], openclawDir = process.env.HOME + '/.openclaw') {
+  const wanted = mounts.length ? mounts : ['/'];
+  const selected = wanted.map(mount => filesystems.find(f => f.mount === mount)).filter(Boolean);
+  const openclaw = findMountFor(openclawDir, filesystems);
+  if (openclaw && !selected.includes(openclaw)) selected.push(openclaw);
+  if (!selected.length && filesystems[0]) selected.push(filesystems[0]);
+  return selected.map(f => ({
+    mount: f.mount,
+    fs: f.fs,
+    used: f.used,
+    size: f.size,
+    percent: Math.round(f.use),
+    openclaw: f === openclaw
+  }));
+}
+
+// Total size of the files under a directory, without following symlinks
+async function dirSize(path) {
+  let total = 0;
+  let entries;
+  try {
+    entries = await fs.promises.readdir(path, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+  for (const entry of entries) {
+    const child = join(path, entry.name);
+    if (entry.isDirectory()) total += await dirSize(child);
+    else if (entry.isFile()) total += (await fs.promises.lstat(child).catch(() => ({ size: 0 }))).size;
+  }
+  return total;
+}
+
+// Fan speeds (RPM) that Linux hwmon drivers expose as fanN_input
+function readHwmonFans(io = defaultIO) {
+  const fans = [];
+  for (const hwmon of io.readdir('/sys/class/hwmon')) {
+    let files = [];
+    try { files = io.readdir(`/sys/class/hwmon/${hwmon}`); } catch {}
+    for (const file of files.filter(f => /^fan\d+_input$/.test(f))) {
+      const rpm = parseNumber(io.readFile(`/sys/class/hwmon/${hwmon}/${file}`));
+      if (rpm != null) fans.push(rpm);
+    }
+  }
+  return fans;
+}
+
+// Temperatures (°C), fan speed (RPM), thermal pressure and battery state for the
+// SENSORS box. The GPU reading supplies the GPU temperature and, on macOS,
+// powermetrics' thermal data; unknown fields are null.
+async function getSensors(gpu = null, platform = process.platform) {
+  const [temp, battery] = await Promise.all([
+    si.cpuTemperature().catch(() => null),
+    si.battery().catch(() => null)
+  ]);
+  let thermal = gpu?.thermal || null;
+  if (!thermal && platform === 'darwin') {
+    try {
+      const metrics = await readPowermetrics();
+      thermal = { pressure: metrics.pressure, cpuTemp: metrics.cpuTemp, fan: metrics.fan };
+    } catch {}
+  }
+  let fan = thermal?.fan ?? null;
+  if (fan == null && platform === 'linux') {
+    try {
+      const fans = readHwmonFans();
+      if (fans.length) fan = Math.max(...fans);
+    } catch {}
+  }
+  const valid = (t) => typeof t === 'number' && t > 0 ? t : null;
+  return {
+    cpuTemp: valid(temp?.main) ?? valid(thermal?.cpuTemp),
+    cpuTempMax: valid(temp?.max),
+    gpuTemp: valid(gpu?.temperature),
+    fan,
+    pressure: thermal?.pressure || null,
+    battery: battery?.hasBattery ? {
+      percent: battery.percent,
+      charging: battery.isCharging,
+      acConnected: battery.acConnected,
+      minutesLeft: battery.timeRemaining > 0 ? battery.timeRemaining : null
+    } : null
+  };
+}
+
+// Normalize one sessions.json entry into the shape the SESSIONS box renders
+function mapSession(key, session, agent) {
+  return {
+    key: key,
+    agent: agent,
+    channel: session.channel || 'unknown',
+    displayName: session.displayName || key,
+    updatedAt: session.updatedAt || session.lastMessageAt || 0,
+    sessionId: session.sessionId || key,
+    model: session.model || 'unknown',
+    contextTokens: session.contextWindow || session.contextTokens || 0,
+    totalTokens: session.totalTokens || 0,
+    inputTokens: session.inputTokens ?? null,
+    outputTokens: session.outputTokens ?? null,
+    kind: session.kind || 'other',
+    deliveryContext: session.deliveryContext || {},
+    systemSent: session.systemSent || false,
+    abortedLastRun: session.abortedLastRun || false,
+    lastChannel: session.lastChannel || session.channel || '',
+    lastTo: session.lastTo || '',
+    lastAccountId: session.lastAccountId || '',
+    transcriptPath: session.transcriptPath || ''
+  };
+}
+
+// A session entry (or a whole sessions.json) has to be a plain object
+function isSessionObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Sessions from a remote gateway: either a sessions.json-style object keyed by
+// session key, or { sessions: [...] } with a key on each entry. The agent comes
+// from agentId or from an "agent:<id>:..." key. Entries that aren't objects
+// (nulls, counts next to a null list) are skipped.
+function parseRemoteSessions(body) {
+  const entries = Array.isArray(body?.sessions)
+    ? body.sessions.filter(isSessionObject).map(s => [s.key, s])
+    : Object.entries(isSessionObject(body) ? body : {}).filter(([, session]) => isSessionObject(session));
+  return entries.map(([key, session]) => {
+    const agent = session.agentId || session.agent || (String(key).startsWith('agent:') ? String(key).split(':')[1] : 'main');
+    return mapSession(key, session, agent);
+  });
+}
+
+// Session status: abort when the last run was aborted, otherwise from idle
+// time: active (<5m), idle (<30m), stale
+function getSessionStatus(session, now = Date.now()) {
+  if (session.abortedLastRun) return 'abort';
+  const idleMs = session.updatedAt ? now - session.updatedAt : 0;
+  if (idleMs < 5 * 60 * 1000) return 'active';
+  if (idleMs < 30 * 60 * 1000) return 'idle';
+  return 'stale';
+}
+
+// Context-window pressure: null, 'warn' or 'critical' based on configured thresholds
+function getContextLevel(session, settings) {
+  const max = session.contextTokens || 0;
+  if (!max) return null;
+  const percent = (session.totalTokens || 0) / max * 100;
+  if (percent >= settings.contextCriticalPercent) return 'critical';
+  if (percent >= settings.contextWarnPercent) return 'warn';
+  return null;
+}
+
+// Price entry for a model: exact id first, then the first matching glob
+function findModelPrice(model, pricing) {
+  if (!model || !pricing) return null;
+  if (pricing[model] != null) return pricing[model];
+  for (const [pattern, price] of Object.entries(pricing)) {
+    if (/[*?]/.test(pattern) && globToRegExp(pattern).test(model)) return price;
+  }
+  return null;
+}
+
+// Estimated USD cost of a token count ({ inputTokens, outputTokens, totalTokens }),
+// or null when the model has no price
+function estimateCost(tokens, price) {
+  if (price == null) return null;
+  if (typeof price === 'number') return (tokens.totalTokens || 0) * price / 1e6;
+  if (tokens.inputTokens != null && tokens.outputTokens != null) {
+    return (tokens.inputTokens * (price.input || 0) + tokens.outputTokens * (price.output || 0)) / 1e6;
+  }
+  return (tokens.totalTokens || 0) * (price.input || 0) / 1e6;
+}
+
+function formatCost(usd) {
+  if (usd == null) return '?';
+  if (usd >= 100) return '$' + Math.round(usd);
+  return '$' + usd.toFixed(2);
+}
+
+// Model id as shown in the MODEL column
+function shortModel(model) {
+  return model?.replace('moonshot/', '').replace('openrouter/', 'or/');
+}
+
+// Convert a glob like "or/*" to an anchored, case-insensitive RegExp
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp('^' + escaped + '$', 'i');
+}
+
+// Build a predicate from a session filter query. Terms are AND-ed together:
+// "field:value" terms match channel, kind, agent, status or model (glob, raw or
+// shortened id); anything else is matched as text against displayName or key.
+function parseSessionFilter(query) {
+  const terms = (query || '').trim().split(/\s+/).filter(Boolean);
+  const tests = terms.map(term => {
+    const match = term.match(/^(channel|kind|model|status|agent):(.*)$/i);
+    if (!match) {
+      const text = term.toLowerCase();
+      return (s) => (s.displayName || '').toLowerCase().includes(text) || (s.key || '').toLowerCase().includes(text);
+    }
+    const field = match[1].toLowerCase();
+    const value = match[2].toLowerCase();
+    switch (field) {
+      case 'model': {
+        const pattern = globToRegExp(value.includes('*') ? value : `*${value}*`);
+        return (s) => pattern.test(s.model || '') || pattern.test(shortModel(s.model) || '');
+      }
+      case 'status':
+        return (s, now) => getSessionStatus(s, now) === value;
+      default:
+        return (s) => String(s[field] || '').toLowerCase() === value;
+    }
+  });
+  return (session, now = Date.now()) => tests.every(test => test(session, now));
+}
+
+function formatTokens(n) {
+  if (n >= 1000000) return (n/1000000).toFixed(1) + 'M';
+  if (n >= 1000) return Math.round(n/1000) + 'K';
+  return n.toString();
+}
+
+function formatIdle(idleMs) {
+  if (idleMs < 60000) return `${Math.round(idleMs / 1000)}s`;
+  if (idleMs < 3600000) return `${Math.round(idleMs / 60000)}m`;
+  return `${Math.round(idleMs / 3600000)}h`;
+}
+
+// Group already-sorted sessions by channel, kind, model or agent. Groups are
+// ordered by most recent activity; sessions keep their order within a group.
+function groupSessions(sessions, mode) {
+  const keyFn = {
+    channel: s => s.channel || 'unknown',
+    kind: s => s.kind || 'other',
+    model: s => shortModel(s.model) || 'unknown',
+    agent: s => s.agent || 'unknown'
+  }[mode];
+  const groups = new Map();
+  for (const session of sessions) {
+    const name = keyFn(session);
+    if (!groups.has(name)) groups.set(name, { name, sessions: [], totalTokens: 0, updatedAt: 0 });
+    const group = groups.get(name);
+    group.sessions.push(session);
+    group.totalTokens += session.totalTokens || 0;
+    group.updatedAt = Math.max(group.updatedAt, session.updatedAt || 0);
+  }
+  return [...groups.values()].sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+const TRANSCRIPT_TAIL_BYTES = 64 * 1024;
+
+// Read the last maxBytes of a file, dropping the first partial line
+function readFileTail(path, maxBytes = TRANSCRIPT_TAIL_BYTES) {
+  const fd = fs.openSync(path, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const start = Math.max(0, size - maxBytes);
+    const buf = Buffer.alloc(size - start);
+    fs.readSync(fd, buf, 0, buf.length, start);
+    const text = buf.toString('utf8');
+    return start > 0 ? text.substring(text.indexOf('\n') + 1) : text;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Turn one transcript JSONL entry into readable lines ("role: text")
+function formatTranscriptLine(line) {
+  let entry;
+  try { entry = JSON.parse(line); } catch { return [line]; }
+  const msg = entry.message || entry;
+  const role = msg.role || entry.type || 'entry';
+  let text;
+  if (typeof msg.content === 'string') {
+    text = msg.content;
+  } else if (Array.isArray(msg.content)) {
+    text = msg.content
+      .map(part => part.text ?? (part.type === 'toolCall' || part.type === 'tool_use' ? `[tool ${part.name}]` : `[${part.type}]`))
+      .join(' ');
+  } else {
+    text = JSON.stringify(msg);
+  }
+  const time = entry.timestamp ? new Date(entry.timestamp).toLocaleTimeString('en-US', { hour12: false }) + ' ' : '';
+  const [first, ...rest] = String(text).split('\n');
+  return [`${time}${role}: ${first}`, ...rest.map(l => '    ' + l)];
+}
+
+// Session keys are only unique within one agent's sessions.json (and one instance)
+function sessionUid(session) {
+  return `${session.instance ? session.instance + ':' : ''}${session.agent}/${session.key}`;
+}
+
+// Stable id for a SESSIONS list row (session or group header)
+function sessionRowId(row) {
+  return row.group != null ? `group:${row.group}` : sessionUid(row);
+}
+
+function calcTPS(session, prevSession, elapsedMs) {
+  if (!session || !prevSession || elapsedMs < 100) return null;
+  const currTokens = session.totalTokens || 0;
+  const prevTokens = prevSession.totalTokens || 0;
+  const diff = currTokens - prevTokens;
+  if (diff <= 0) return null;
+  const tps = diff / (elapsedMs / 1000);
+  return tps > 0 ? parseFloat(tps.toFixed(1)) : null;
+}
+
+// Per-session diff between two { key: serialized session } maps
+function diffSessions(prevRaw, nextRaw) {
+  const created = [], updated = [], removed = [];
+  for (const [key, value] of Object.entries(nextRaw)) {
+    if (!(key in prevRaw)) created.push(key);
+    else if (prevRaw[key] !== value) updated.push(key);
+  }
+  for (const key of Object.keys(prevRaw)) {
+    if (!(key in nextRaw)) removed.push(key);
+  }
+  return { created, updated, removed };
+}
+
+// Watches every agent's sessions/sessions.json and keeps the parsed sessions in
+// memory. Directories are watched rather than files so atomic-rename swaps are
+// seen; reads are debounced and async, and a file that fails to parse (caught
+// mid-write) or is briefly missing is retried before the agent is marked errored.
+// Where fs.watch is unavailable a path falls back to polling its stat.
+// Emits 'change' with { agent, created, updated, removed } (session uids).
+class SessionStore extends EventEmitter {
+  constructor({ agentsDir = AGENTS_DIR, debounceMs = 150, pollIntervalMs = 2000, retryDelayMs = 100, maxRetries = 5 } = {}) {
+    super();
+    this.agentsDir = agentsDir;
+    this.debounceMs = debounceMs;
+    this.pollIntervalMs = pollIntervalMs;
+    this.retryDelayMs = retryDelayMs;
+    this.maxRetries = maxRetries;
+    this.agents = new Map(); // agent -> { raw, sessions, error, watcher, timer, generation }
+    this.ok = false;
+    this.error = 'Not loaded';
+  }
+
+  async start() {
+    this.rootWatcher = this.watchPath(this.agentsDir, () => this.debounce(this, () => this.scanAgents()));
+    this.ready = this.scanAgents();
+    return this.ready;
+  }
+
+  stop() {
+    this.rootWatcher?.close();
+    clearTimeout(this.timer);
+    for (const state of this.agents.values()) {
+      state.watcher?.close();
+      clearTimeout(state.timer);
+    }
+    this.agents.clear();
+  }
+
+  list() {
+    return [...this.agents.values()].flatMap(state => state.sessions);
+  }
+
+  get agentIds() {
+    return [...this.agents.keys()].sort();
+  }
+
+  get agentErrors() {
+    const errors = {};
+    for (const [agent, state] of this.agents) {
+      if (state.error) errors[agent] = state.error;
+    }
+    return errors;
+  }
+
+  // Re-read everything now, e.g. after reconnecting to the gateway
+  async reload() {
+    await this.scanAgents();
+    await Promise.all(this.agentIds.map(agent => this.loadAgent(agent)));
+  }
+
+  async scanAgents() {
+    let agents;
+    try {
+      const entries = await fs.promises.readdir(this.agentsDir, { withFileTypes: true });
+      agents = entries.filter(d => d.isDirectory() && fs.existsSync(join(this.agentsDir, d.name, 'sessions'))).map(d => d.name);
+      this.rootError = null;
+    } catch (err) {
+      this.rootError = 'Failed to read agents: ' + err.message;
+      agents = [];
+    }
+
+    for (const agent of [...this.agents.keys()]) {
+      if (agents.includes(agent)) continue;
+      const state = this.agents.get(agent);
+      state.watcher?.close();
+      clearTimeout(state.timer);
+      this.agents.delete(agent);
+      this.emit('change', { agent, created: [], updated: [], removed: state.sessions.map(sessionUid) });
+    }
+    const added = agents.filter(agent => !this.agents.has(agent));
+    for (const agent of added) {
+      const state = { raw: {}, sessions: [], error: null, timer: null, generation: 0 };
+      this.agents.set(agent, state);
+      state.watcher = this.watchPath(join(this.agentsDir, agent, 'sessions'), (filename) => {
+        if (!filename || filename === 'sessions.json') this.debounce(state, () => this.loadAgent(agent));
+      });
+    }
+    await Promise.all(added.map(agent => this.loadAgent(agent)));
+    this.updateStatus(agents);
+  }
+
+  updateStatus(agents = this.agentIds) {
+    const failed = agents.filter(agent => this.agents.get(agent)?.error).length;
+    this.ok = !this.rootError && !(agents.length > 0 && failed === agents.length);
+    this.error = this.rootError || (this.ok ? null : 'Failed to read sessions for every agent');
+  }
+
+  // Every load (not retry) takes a new generation. A load that a newer one has
+  // superseded is dropped, so an older read can't finish last and win.
+  async loadAgent(agent, attempt = 0, generation = null) {
+    const state = this.agents.get(agent);
+    if (!state) return;
+    if (generation === null) generation = ++state.generation;
+    const current = () => this.agents.get(agent) === state && state.generation === generation;
+    let parsed, sessions;
+    try {
+      const data = await fs.promises.readFile(join(this.agentsDir, agent, 'sessions', 'sessions.json'), 'utf8');
+      parsed = JSON.parse(data);
+      if (!isSessionObject(parsed)) throw new Error('sessions.json is not an object');
+      // Entries that aren't session objects (e.g. null) are skipped
+      parsed = Object.fromEntries(Object.entries(parsed).filter(([, session]) => isSessionObject(session)));
+      sessions = Object.entries(parsed).map(([key, session]) => mapSession(key, session, agent));
+    } catch (err) {
+      if (!current()) return;
+      // Partially written file or the gap in a rename swap: try again shortly
+      if (attempt < this.maxRetries && (err instanceof SyntaxError || err.code === 'ENOENT')) {
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+        return this.loadAgent(agent, attempt + 1, generation);
+      }
+      state.error = err.message;
+      const removed = state.sessions.map(sessionUid);
+      state.raw = {};
+      state.sessions = [];
+      this.updateStatus();
+      this.emit('change', { agent, created: [], updated: [], removed });
+      return;
+    }
+    if (!current()) return;
+
+    const raw = Object.fromEntries(Object.entries(parsed).map(([key, session]) => [key, JSON.stringify(session)]));
+    const diff = diffSessions(state.raw, raw);
+    const hadError = state.error;
+    state.raw = raw;
+    state.error = null;
+    state.sessions = sessions;
+    this.updateStatus();
+    if (diff.created.length || diff.updated.length || diff.removed.length || hadError) {
+      const uid = key => sessionUid({ agent, key });
+      this.emit('change', { agent, created: diff.created.map(uid), updated: diff.updated.map(uid), removed: diff.removed.map(uid) });
+    }
+  }
+
+  debounce(target, fn) {
+    clearTimeout(target.timer);
+    target.timer = setTimeout(fn, this.debounceMs);
+  }
+
+  // fs.watch where it works; otherwise poll the path's stat for changes
+  watchPath(path, onChange) {
+    try {
+      const watcher = fs.watch(path, (event, filename) => onChange(filename?.toString()));
+      watcher.on('error', () => {});
+      return watcher;
+    } catch {
+      let last = null;
+      const timer = setInterval(async () => {
+        let stamp;
+        try {
+          const stat = await fs.promises.stat(path);
+          stamp = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+          if (stat.isDirectory()) {
+            const file = await fs.promises.stat(join(path, 'sessions.json')).catch(() => null);
+            if (file) stamp += `:${file.ino}:${file.mtimeMs}:${file.size}`;
+          }
+        } catch {
+          stamp = 'missing';
+        }
+        if (last !== null && stamp !== last) onChange(null);
+        last = stamp;
+      }, this.pollIntervalMs);
+      timer.unref?.();
+      return { close: () => clearInterval(timer) };
+    }
+  }
+}
+
+// OpenClaw's rolling file log (logging.file in openclaw.json, by default one
+// openclaw-YYYY-MM-DD.log per day here) and the gateway service's stdout/stderr
+const OPENCLAW_LOG_DIR = '/tmp/openclaw';
+const GATEWAY_LOG_FILES = ['gateway.log', 'gateway.err.log'].map(f => process.env.HOME + '/.openclaw/logs/' + f);
+
+function findLogFiles(settings = {}) {
+  if (settings.logFiles?.length) return settings.logFiles.filter(f => fs.existsSync(f));
+  const files = [];
+  let configured;
+  try {
+    configured = JSON.parse(fs.readFileSync(process.env.HOME + '/.openclaw/openclaw.json', 'utf8')).logging?.file;
+  } catch {}
+  if (configured) {
+    files.push(configured);
+  } else {
+    try {
+      const daily = fs.readdirSync(OPENCLAW_LOG_DIR).filter(f => /^openclaw-.*\.log$/.test(f)).sort();
+      if (daily.length) files.push(join(OPENCLAW_LOG_DIR, daily[daily.length - 1]));
+    } catch {}
+  }
+  files.push(...GATEWAY_LOG_FILES);
+  return files.filter(f => fs.existsSync(f));
+}
+
+// Follows log files like `tail -F`, emitting 'line' for every complete line
+// (with initial=true for the backlog read when a file is first opened).
+// A file replaced by rotation is drained and reopened from the start, and a
+// truncated one is re-read from the top. resolveFiles() is re-run periodically
+// so a new daily log file is picked up.
+class LogTailer extends EventEmitter {
+  constructor({ resolveFiles, pollIntervalMs = 1000, rescanIntervalMs = 10000, initialLines = 100 }) {
+    super();
+    this.resolveFiles = resolveFiles;
+    this.pollIntervalMs = pollIntervalMs;
+    this.rescanIntervalMs = rescanIntervalMs;
+    this.initialLines = initialLines;
+    this.files = new Map(); // path -> { handle, ino, offset, decoder, partial, watcher, reading, pending }
+  }
+
+  get active() {
+    return this.files.size > 0;
+  }
+
+  get paths() {
+    return [...this.files.keys()];
+  }
+
+  async start() {
+    await this.rescan(true);
+    this.pollTimer = setInterval(() => this.paths.forEach(path => this.check(path)), this.pollIntervalMs);
+    this.rescanTimer = setInterval(() => this.rescan(false), this.rescanIntervalMs);
+    this.pollTimer.unref?.();
+    this.rescanTimer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.rescanTimer);
+    for (const path of this.paths) this.close(path);
+  }
+
+  // On the first scan, start each file with its last few lines; files that show
+  // up later (e.g. tomorrow's log) are new, so read them from the beginning
+  async rescan(initial) {
+    const wanted = this.resolveFiles();
+    for (const path of this.paths) {
+      if (!wanted.includes(path)) this.close(path);
+    }
+    for (const path of wanted) {
+      if (!this.files.has(path)) await this.open(path, initial).catch(() => {});
+    }
+  }
+
+  async open(path, seed) {
+    const handle = await fs.promises.open(path, 'r');
+    const stat = await handle.stat();
+    const state = { handle, ino: stat.ino, offset: seed ? stat.size : 0, decoder: new StringDecoder('utf8'), partial: '', reading: false, pending: false };
+    this.files.set(path, state);
+    this.watch(path, state);
+    if (seed) {
+      const lines = readFileTail(path).split('\n').filter(Boolean).slice(-this.initialLines);
+      for (const line of lines) this.emit('line', line, path, true);
+    } else {
+      await this.check(path);
+    }
+  }
+
+  close(path) {
+    const state = this.files.get(path);
+    if (!state) return;
+    this.files.delete(path);
+    state.watcher?.close();
+    state.handle.close().catch(() => {});
+  }
+
+  watch(path, state) {
+    state.watcher?.close();
+    try {
+      state.watcher = fs.watch(path, () => this.check(path));
+      state.watcher.on('error', () => {});
+    } catch {
+      state.watcher = null; // the poll timer still picks up changes
+    }
+  }
+
+  async check(path) {
+    const state = this.files.get(path);
+    if (!state) return;
+    if (state.reading) {
+      state.pending = true;
+      return;
+    }
+    state.reading = true;
+    try {
+      const stat = await fs.promises.stat(path).catch(() => null);
+      if (stat && stat.ino !== state.ino) {
+        // Rotated: finish the old file, then follow the new one from its start
+        await this.drain(path, state);
+        await state.handle.close().catch(() => {});
+        state.handle = await fs.promises.open(path, 'r');
+        state.ino = stat.ino;
+        state.offset = 0;
+        state.decoder = new StringDecoder('utf8');
+        state.partial = '';
+        this.watch(path, state);
+      } else if (stat && stat.size < state.offset) {
+        // Truncated in place
+        state.offset = 0;
+        state.partial = '';
+      }
+      await this.drain(path, state);
+    } catch {
+      // Unreadable for now; try again on the next poll
+    } finally {
+      state.reading = false;
+      if (state.pending && this.files.get(path) === state) {
+        state.pending = false;
+        this.check(path);
+      }
+    }
+  }
+
+  async drain(path, state) {
+    const buf = Buffer.alloc(64 * 1024);
+    for (;;) {
+      const { bytesRead } = await state.handle.read(buf, 0, buf.length, state.offset);
+      if (!bytesRead || this.files.get(path) !== state) return;
+      state.offset += bytesRead;
+      const lines = (state.partial + state.decoder.write(buf.subarray(0, bytesRead))).split('\n');
+      state.partial = lines.pop();
+      for (const line of lines) {
+        if (line) this.emit('line', line.replace(/\r$/, ''), path);
+      }
+    }
+  }
+}
+
+// What an alert rule can watch. Each reader returns one reading per subject
+// (a disk mount, a session); system-wide metrics have a single reading.
+const ALERT_METRICS = {
+  cpu: {
+    read: (data) => [{ value: data.cpuAvg }],
+    describe: (value) => `CPU ${Math.round(value)}%`
+  },
+  memory: {
+    read: (data) => [{ value: data.memory?.percent }],
+    describe: (value) => `Memory ${Math.round(value)}%`
+  },
+  disk: {
+    read: (data) => (data.disks || []).map(disk => ({ key: disk.mount, subject: disk.mount, value: disk.percent })),
+    describe: (value, subject) => `Disk ${subject} ${Math.round(value)}%`
+  },
+  gatewayOffline: {
+    threshold: 1,
+    read: (data) => [{ value: data.openclaw ? (data.openclaw.gateway.reachable ? 0 : 1) : null }],
+    describe: () => 'Gateway offline'
+  },
+  // Minutes since the session was last updated
+  sessionStale: {
+    perSession: true,
+    read: (data, now) => (data.sessions || []).filter(s => s.updatedAt).map(s => ({ key: sessionUid(s), subject: s.displayName, value: (now - s.updatedAt) / 60000 })),
+    describe: (value, subject) => `${subject} stale for ${formatIdle(value * 60000)}`
+  },
+  contextPercent: {
+    perSession: true,
+    read: (data) => (data.sessions || []).filter(s => s.contextTokens).map(s => ({ key: sessionUid(s), subject: s.displayName, value: (s.totalTokens || 0) / s.contextTokens * 100 })),
+    describe: (value, subject) => `${subject} context ${Math.round(value)}%`
+  }
+};
+
+const ALERT_ACTIONS = ['bell', 'banner', 'desktop', 'webhook', 'command'];
+
+// Compile the alertRules setting, skipping rules with an unknown metric and
+// actions that are unknown or missing their url/command. Actions may be given
+// as a bare type ('bell') or an object ({ type: 'webhook', url }).
+function compileAlertRules(rules = []) {
+  return rules.flatMap(rule => {
+    const metric = ALERT_METRICS[rule?.metric];
+    const above = Number(rule?.above ?? metric?.threshold);
+    const clear = Number(rule?.clear);
+    if (!metric || !Number.isFinite(above)) return [];
+    const actions = (rule.actions || ['bell', 'banner'])
+      .map(action => typeof action === 'string' ? { type: action } : action)
+      .filter(action => ALERT_ACTIONS.includes(action?.type)
+        && (action.type !== 'webhook' || action.url)
+        && (action.type !== 'command' || action.command));
+    return [{
+      name: rule.name || null,
+      metric: rule.metric,
+      above,
+      clear: rule.clear != null && Number.isFinite(clear) ? clear : above,
+      for: Number(rule.for) || 0,
+      resolve: !!rule.resolve,
+      actions,
+      states: new Map()
+    }];
+  });
+}
+
+// Advance each rule's per-subject state and return the alerts that fired or
+// cleared. A value has to stay at or above `above` for `for` seconds to fire,
+// and a firing alert only clears once the value drops below `clear`. Per-session
+// rules start from whatever is already true, so old sessions don't all alert at
+// startup (like context pressure alerts).
+function evaluateAlertRules(rules, data, now = Date.now()) {
+  const events = [];
+  for (const rule of rules) {
+    const metric = ALERT_METRICS[rule.metric];
+    const seen = new Set();
+    for (const { key = '', subject = null, value } of metric.read(data, now)) {
+      if (value == null || Number.isNaN(value)) continue;
+      seen.add(key);
+      const over = value >= rule.above;
+      let state = rule.states.get(key);
+      if (!state) {
+        state = { since: null, firing: over && !!metric.perSession, notified: false, message: null };
+        rule.states.set(key, state);
+      }
+      const event = (type) => {
+        const message = (rule.name ? `${rule.name}: ` : '') + metric.describe(value, subject);
+        return { rule, state: type, subject, value, threshold: rule.above, message, at: now };
+      };
+      if (state.firing) {
+        if (value >= rule.clear) {
+          // Keep the banner text on the latest value
+          if (state.notified) state.message = event('firing').message;
+          continue;
+        }
+        if (state.notified) events.push(event('resolved'));
+        Object.assign(state, { since: null, firing: false, notified: false, message: null });
+      } else if (over) {
+        state.since ??= now;
+        if (now - state.since < rule.for * 1000) continue;
+        const fired = event('firing');
+        Object.assign(state, { firing: true, notified: true, message: fired.message });
+        events.push(fired);
+      } else {
+        state.since = null;
+      }
+    }
+    // Forget subjects that went away (unmounted disks, removed sessions)
+    for (const key of rule.states.keys()) {
+      if (!seen.has(key)) rule.states.delete(key);
+    }
+  }
+  return events;
+}
+
+// Messages of the alerts currently firing for rules with a banner action
+function firingAlertMessages(rules) {
+  return rules
+    .filter(rule => rule.actions.some(action => action.type === 'banner'))
+    .flatMap(rule => [...rule.states.values()].filter(state => state.notified).map(state => state.message));
+}
+
+// Run a desktop, webhook or command action for an alert event (bell and banner
+// belong to the UI). Commands get the alert in ALERT_* environment variables
+// rather than interpolated into the command line.
+async function runAlertAction(action, event, platform = process.platform) {
+  const env = {
+    ...process.env,
+    ALERT_STATE: event.state,
+    ALERT_METRIC: event.rule.metric,
+    ALERT_SUBJECT: event.subject ?? '',
+    ALERT_VALUE: String(Math.round(event.value * 10) / 10),
+    ALERT_MESSAGE: event.message
+  };
+  const title = event.state === 'resolved' ? 'OpenClaw alert resolved' : 'OpenClaw alert';
+  switch (action.type) {
+    case 'webhook':
+      return postJSON({
+        url: action.url,
+        headers: action.headers,
+        body: {
+          rule: event.rule.name || event.rule.metric,
+          metric: event.rule.metric,
+          state: event.state,
+          subject: event.subject,
+          value: event.value,
+          threshold: event.threshold,
+          message: event.message,
+          at: new Date(event.at).toISOString()
+        }
+      });
+    case 'command':
+      return execAsync(action.command, { env, timeout: 10000 });
+    case 'desktop':
+      if (action.command) return execAsync(action.command, { env, timeout: 10000 });
+      if (platform === 'darwin') {
+        return execFileAsync('osascript', ['-e', `display notification ${JSON.stringify(event.message)} with title ${JSON.stringify(title)}`], { timeout: 5000 });
+      }
+      return execFileAsync('notify-send', [title, event.message], { timeout: 5000 });
+  }
+}
+
+class Dashboard {
+  constructor() {
+    this.settings = loadSettings();
+    this.screen = blessed.screen({ smartCSR: true, title: 'Claw Dashboard' });
+    this.history = { cpu: new Array(HISTORY_LENGTH).fill(0), memory: new Array(HISTORY_LENGTH).fill(0), netRx: new Array(NETWORK_HISTORY_LENGTH).fill(0), netTx: new Array(NETWORK_HISTORY_LENGTH).fill(0), tps: new Array(HISTORY_LENGTH).fill(0), gpu: new Array(HISTORY_LENGTH).fill(0), gatewayRss: [] };
+    this.data = { cpu: [], memory: {}, openclaw: null, gpu: null, network: null, sessions: [], agents: [], agentErrors: {}, version: null, latest: null, sessionTPS: {}, sessionLastTPS: {}, totalTPS: 0 };
+    this.prev = null;
+    this.lastTime = Date.now();
+    this.logBuffer = new LogBuffer(Math.max(100, Number(this.settings.logBufferLines) || 5000));
+    this.logRules = compileLogRules(this.settings.logRules);
+    this.alertRules = compileAlertRules(this.settings.alertRules);
+    this.showMuted = false;
+    this.logRates = createLogRates();
+    this.collapsedGroups = new Set();
+    this.costLedger = loadCostLedger();
+    this.instances = [
+      { name: 'local', local: true },
+      ...(this.settings.instances || []).filter(i => i?.url).map(i => {
+        // A typo'd url stays in the list with an error instead of crashing startup
+        const host = instanceHost(i.url);
+        return {
+          ...i,
+          name: i.name || host || String(i.url),
+          online: host ? null : false,
+          sessions: [],
+          health: null,
+          error: host ? null : `invalid url ${i.url} (expected http:// or https://)`,
+          invalid: !host,
+          inFlight: false
+        };
+      })
+    ];
+    this.activeInstance = 0;
+    this.isPaused = false;
+    this.init();
+    
+    // Handle terminal resize gracefully
+    process.stdout.on('error', (err) => {
       if (err.code === 'EPIPE') {
         // Ignore EPIPE errors from terminal resize/close
         return;
@@ -362,6 +2121,11 @@ class Dashboard {
   }
 
   init() {
+    this.sessionStore = new SessionStore();
+    this.sessionStore.on('change', (diff) => this.onSessionsChanged(diff));
+    this.sessionStore.start()
+      .catch((err) => { this.data.sessionsError = err.message; })
+      .finally(() => { this.sessionStoreLoaded = true; });
     this.createWidgets();
     this.setupKeys();
     this.fetchVersion();
@@ -385,6 +2149,8 @@ class Dashboard {
     this.w.logo = blessed.text({ parent: this.screen, top: 0, left: 1, width: 40, content: ASCII_LOGO.join('\n'), style: { fg: C.brightCyan, bold: true } });
     this.w.title = blessed.text({ parent: this.screen, top: 6, left: 3, content: `Dashboard ${DASHBOARD_VERSION}, openclaw checking...`, style: { fg: C.brightWhite, bold: true } });
     this.w.clock = blessed.text({ parent: this.screen, top: 0, left: '100%-30', content: '--:--', style: { fg: C.brightCyan, bold: true }, align: 'right', tags: true });
+    // Firing alert rules with a banner action, above the header stat boxes
+    this.w.alertBanner = blessed.box({ parent: this.screen, top: 0, left: 42, width: '100%-74', height: 1, align: 'center', hidden: true, style: { fg: C.brightWhite, bg: C.red, bold: true } });
 
     // 3 stat boxes in a horizontal row
     // Fixed positioning: logo ends ~col 42, remaining space split evenly
@@ -404,44 +2170,104 @@ class Dashboard {
     this.w.memSpark = blessed.text({ parent: this.w.memBox, top: 2, left: 'center', content: sparkline(this.history.memory), style: { fg: C.magenta } });
 
     this.w.gpuBox = blessed.box({ parent: this.screen, top: boxTop, left: startCol + boxWidth * 2, width: boxWidth, height: boxHeight, border: { type: 'line' }, label: ' GPU ', style: { border: { fg: C.yellow } } });
-    this.w.gpuValue = blessed.text({ parent: this.w.gpuBox, top: 0, left: 'center', content: 'Detecting...', style: { fg: C.brightYellow, bold: true } });
-    this.w.gpuDetail = blessed.text({ parent: this.w.gpuBox, top: 1, left: 'center', content: '', style: { fg: C.gray } });
+    this.w.gpuValue = blessed.box({ parent: this.w.gpuBox, top: 0, left: 0, width: '100%-2', height: 1, align: 'center', content: 'Detecting...', style: { fg: C.brightYellow, bold: true } });
+    this.w.gpuDetail = blessed.box({ parent: this.w.gpuBox, top: 1, left: 0, width: '100%-2', height: 1, align: 'center', content: '', style: { fg: C.gray } });
     this.w.gpuSpark = blessed.text({ parent: this.w.gpuBox, top: 2, left: 'center', content: '', style: { fg: C.yellow } });
 
+    this.w.instanceStrip = blessed.text({ parent: this.screen, top: 7, left: 1, content: '', style: { fg: C.white }, tags: true });
+
     this.w.sessBox = blessed.box({ parent: this.screen, top: 8, left: 0, width: '100%', height: 10, border: { type: 'line' }, label: ' SESSIONS ', style: { border: { fg: C.blue } }, tags: true });
-    this.w.sessHeader = blessed.text({ parent: this.w.sessBox, top: 0, left: 1, content: 'STATUS AGENT                                          MODEL           CONTEXT      IDLE    CHAN', style: { fg: C.brightWhite, bold: true } });
-    this.w.sessList = blessed.text({ parent: this.w.sessBox, top: 1, left: 1, width: '98%', height: 7, content: '', style: { fg: C.white }, tags: true });
+    this.w.sessHeader = blessed.text({ parent: this.w.sessBox, top: 0, left: 1, content: 'STATUS AGENT      SESSION                            MODEL           CONTEXT         TPS     COST    IDLE    CHAN', style: { fg: C.brightWhite, bold: true } });
+    this.w.sessList = blessed.list({ parent: this.w.sessBox, top: 1, left: 1, width: '98%', height: 7, items: [], style: { fg: C.white, item: { fg: C.white }, selected: { fg: C.brightWhite, bg: C.blue } }, tags: true, keys: true, mouse: true });
+    this.w.sessList.on('select item', (item, index) => {
+      const row = this.sessRows?.[index];
+      this.selectedSessionUid = row ? sessionRowId(row) : null;
+    });
+    this.w.sessList.on('select', (item, index) => {
+      const row = this.sessRows?.[index];
+      if (row?.group != null) this.toggleGroup(row.group);
+      else this.openSessionDetail(row);
+    });
 
-    this.w.sysBox = blessed.box({ parent: this.screen, top: 18, left: 0, width: '25%', height: 4, border: { type: 'line' }, label: ' SYSTEM ', style: { border: { fg: C.gray } } });
-    this.w.sysInfoLine1 = blessed.text({ parent: this.w.sysBox, top: 0, left: 'center', content: '...', style: { fg: C.gray } });
-    this.w.sysInfoLine2 = blessed.text({ parent: this.w.sysBox, top: 1, left: 'center', content: '', style: { fg: C.gray } });
+    this.w.sysBox = blessed.box({ parent: this.screen, top: 18, left: 0, width: '20%', height: 4, border: { type: 'line' }, label: ' SYSTEM ', style: { border: { fg: C.gray } } });
+    this.w.sysInfoLine1 = blessed.box({ parent: this.w.sysBox, top: 0, left: 0, width: '100%-2', height: 1, align: 'center', content: '...', style: { fg: C.gray } });
+    this.w.sysInfoLine2 = blessed.box({ parent: this.w.sysBox, top: 1, left: 0, width: '100%-2', height: 1, align: 'center', content: '', style: { fg: C.gray } });
 
-    this.w.netBox = blessed.box({ parent: this.screen, top: 18, left: '25%', width: '25%', height: 4, border: { type: 'line' }, label: ' NETWORK ', style: { border: { fg: C.brightCyan } } });
-    this.w.netValue = blessed.text({ parent: this.w.netBox, top: 0, left: 'center', content: 'Loading...', style: { fg: C.brightCyan, bold: true } });
-    this.w.netDetail = blessed.text({ parent: this.w.netBox, top: 1, left: 'center', content: '', style: { fg: C.gray } });
+    this.w.netBox = blessed.box({ parent: this.screen, top: 18, left: '20%', width: '20%', height: 4, border: { type: 'line' }, label: ' NETWORK ', style: { border: { fg: C.brightCyan } } });
+    this.w.netValue = blessed.box({ parent: this.w.netBox, top: 0, left: 0, width: '100%-2', height: 1, align: 'center', content: 'Loading...', style: { fg: C.brightCyan, bold: true } });
+    this.w.netDetail = blessed.box({ parent: this.w.netBox, top: 1, left: 0, width: '100%-2', height: 1, align: 'center', content: '', style: { fg: C.gray }, tags: true });
 
-    this.w.diskBox = blessed.box({ parent: this.screen, top: 18, left: '50%', width: '25%', height: 4, border: { type: 'line' }, label: ' DISK ', style: { border: { fg: C.green } } });
-    this.w.diskGauge = blessed.text({ parent: this.w.diskBox, top: 0, left: 'center', content: '', style: { fg: C.green } });
-    this.w.diskValue = blessed.text({ parent: this.w.diskBox, top: 1, left: 'center', content: 'Loading...', style: { fg: C.brightGreen, bold: true } });
+    this.w.diskBox = blessed.box({ parent: this.screen, top: 18, left: '40%', width: '20%', height: 4, border: { type: 'line' }, label: ' DISK ', style: { border: { fg: C.green } } });
+    this.w.diskGauge = blessed.box({ parent: this.w.diskBox, top: 0, left: 0, width: '100%-2', height: 1, align: 'center', content: '', style: { fg: C.green } });
+    this.w.diskValue = blessed.box({ parent: this.w.diskBox, top: 1, left: 0, width: '100%-2', height: 1, align: 'center', content: 'Loading...', style: { fg: C.brightGreen, bold: true } });
 
-    this.w.uptimeBox = blessed.box({ parent: this.screen, top: 18, left: '75%', width: '25%', height: 4, border: { type: 'line' }, label: ' UPTIME ', style: { border: { fg: C.brightMagenta } } });
-    this.w.uptimeSys = blessed.text({ parent: this.w.uptimeBox, top: 0, left: 'center', content: 'Sys: --', style: { fg: C.brightMagenta, bold: true } });
-    this.w.uptimeClaw = blessed.text({ parent: this.w.uptimeBox, top: 1, left: 'center', content: 'Claw: --', style: { fg: C.brightMagenta, bold: true } });
+    this.w.costBox = blessed.box({ parent: this.screen, top: 18, left: '60%', width: '20%', height: 4, border: { type: 'line' }, label: ' COST ', style: { border: { fg: C.brightBlue } } });
+    this.w.costToday = blessed.box({ parent: this.w.costBox, top: 0, left: 0, width: '100%-2', height: 1, align: 'center', content: 'Today: --', style: { fg: C.brightBlue, bold: true } });
+    this.w.costWeek = blessed.box({ parent: this.w.costBox, top: 1, left: 0, width: '100%-2', height: 1, align: 'center', content: '7d: --', style: { fg: C.gray } });
+
+    this.w.sensorsBox = blessed.box({ parent: this.screen, top: 18, left: 0, width: 10, height: 4, border: { type: 'line' }, label: ' SENSORS ', style: { border: { fg: C.yellow } }, hidden: true });
+    this.w.sensorsTemp = blessed.box({ parent: this.w.sensorsBox, top: 0, left: 0, width: '100%-2', height: 1, align: 'center', content: 'Loading...', style: { fg: C.white }, tags: true });
+    this.w.sensorsPower = blessed.box({ parent: this.w.sensorsBox, top: 1, left: 0, width: '100%-2', height: 1, align: 'center', content: '', style: { fg: C.gray }, tags: true });
+
+    this.w.procBox = blessed.box({ parent: this.screen, top: 18, left: 0, width: 10, height: 4, border: { type: 'line' }, label: ' OPENCLAW ', style: { border: { fg: C.brightRed } }, hidden: true });
+    this.w.procValue = blessed.box({ parent: this.w.procBox, top: 0, left: 0, width: '100%-2', height: 1, align: 'center', content: 'Loading...', style: { fg: C.brightWhite, bold: true } });
+    this.w.procDetail = blessed.box({ parent: this.w.procBox, top: 1, left: 0, width: '100%-2', height: 1, align: 'center', content: '', style: { fg: C.gray }, tags: true });
+
+    this.w.uptimeBox = blessed.box({ parent: this.screen, top: 18, left: '80%', width: '20%', height: 4, border: { type: 'line' }, label: ' UPTIME ', style: { border: { fg: C.brightMagenta } } });
+    this.w.uptimeSys = blessed.box({ parent: this.w.uptimeBox, top: 0, left: 0, width: '100%-2', height: 1, align: 'center', content: 'Sys: --', style: { fg: C.brightMagenta, bold: true } });
+    this.w.uptimeClaw = blessed.box({ parent: this.w.uptimeBox, top: 1, left: 0, width: '100%-2', height: 1, align: 'center', content: 'Claw: --', style: { fg: C.brightMagenta, bold: true } });
 
     this.w.logBox = blessed.box({ parent: this.screen, top: 22, left: 0, width: '100%', height: '100%-23', border: { type: 'line' }, label: ' OPENCLAW LOGS ', style: { border: { fg: C.cyan } }, scrollable: true, alwaysScroll: true });
     this.w.logContent = blessed.text({ parent: this.w.logBox, top: 0, left: 1, width: '95%-2', content: 'Loading logs...', style: { fg: C.gray }, tags: true });
 
     this.w.footer = blessed.box({ parent: this.screen, bottom: 0, left: 0, width: '100%', height: 1, style: { bg: C.black, fg: C.gray } });
-    this.w.footerText = blessed.text({ parent: this.w.footer, top: 0, left: 'center', content: '', style: { fg: C.gray } });
+    this.w.footerText = blessed.box({ parent: this.w.footer, top: 0, left: 0, width: '100%', height: 1, align: 'center', content: '', style: { fg: C.gray, bg: C.black }, tags: true });
+
+    this.layoutBottomRow();
+    this.screen.on('resize', () => this.layoutBottomRow());
+
+    this.w.sessList.focus();
+  }
+
+  // The stats row splits the screen width evenly; the SENSORS and OPENCLAW boxes
+  // only take a slot when they are enabled
+  layoutBottomRow() {
+    const boxes = [this.w.sysBox, this.w.netBox, this.w.diskBox, this.w.costBox];
+    if (this.settings.showSensors) boxes.push(this.w.sensorsBox);
+    if (this.settings.showFootprint) boxes.push(this.w.procBox);
+    boxes.push(this.w.uptimeBox);
+    this.w.sensorsBox[this.settings.showSensors ? 'show' : 'hide']();
+    this.w.procBox[this.settings.showFootprint ? 'show' : 'hide']();
+    const width = Math.floor(this.screen.width / boxes.length);
+    boxes.forEach((box, i) => {
+      box.left = i * width;
+      box.width = i === boxes.length - 1 ? this.screen.width - i * width : width;
+    });
   }
 
   setupKeys() {
-    this.screen.key(['q', 'C-c'], () => { clearInterval(this.timer); this.screen.destroy(); process.exit(0); });
+    this.screen.key(['q', 'C-c'], () => { clearInterval(this.timer); this.stopLogSource(); this.screen.destroy(); process.exit(0); });
     this.screen.key('r', () => this.refresh());
     this.screen.key(['?', 'h'], () => this.toggleHelp());
-    this.screen.key(['s', 'S'], () => this.toggleSettings());
+    this.screen.key(['s', 'S'], () => { if (this.w.settingsBox || !this.overlayOpen()) this.toggleSettings(); });
     this.screen.key(['p', ' '], () => this.togglePause());
-    this.screen.key('o', () => this.cycleSessionSort());
+    // Shortcuts for the main view do nothing while an overlay has the keyboard
+    const unlessOverlay = (fn, options) => (ch) => { if (!this.overlayOpen(options)) fn(ch); };
+    this.screen.key('o', unlessOverlay(() => this.cycleSessionSort()));
+    this.screen.key('a', unlessOverlay(() => this.cycleAgentFilter()));
+    this.screen.key('g', unlessOverlay(() => this.cycleSessionGroup()));
+    this.screen.key('/', () => this.promptSessionFilter());
+    this.screen.key('e', unlessOverlay(() => this.selectNextErrored()));
+    this.screen.key('l', unlessOverlay(() => this.toggleLogViewer(), { allowLogViewer: true }));
+    this.screen.key('m', unlessOverlay(() => this.toggleMutedLines(), { allowLogViewer: true }));
+    this.screen.key('c', unlessOverlay(() => this.toggleCoreView()));
+    this.screen.key('i', unlessOverlay(() => this.toggleNetworkView()));
+    this.screen.key(['1', '2', '3', '4', '5', '6', '7', '8', '9'], unlessOverlay((ch) => this.selectInstance(parseInt(ch) - 1)));
+  }
+
+  // A prompt, the session detail pane, settings or the log viewer is open
+  overlayOpen({ allowLogViewer = false } = {}) {
+    return !!(this.w.filterInput || this.w.detailBox || this.w.settingsBox || (!allowLogViewer && this.w.logViewer));
   }
 
   cycleSessionSort() {
@@ -483,6 +2309,18 @@ class Dashboard {
       '  {cyan-fg}r{/cyan-fg}              Force refresh all data',
       '  {cyan-fg}p{/cyan-fg} or {cyan-fg}Space{/cyan-fg}    Pause/resume auto-refresh',
       '  {cyan-fg}o{/cyan-fg}              Cycle session sort (time/tokens/idle/name)',
+      '  {cyan-fg}g{/cyan-fg}              Cycle grouping (none/channel/kind/',
+      '                   model/agent); Enter on a group folds it',
+      '  {cyan-fg}a{/cyan-fg}              Cycle agent filter (all/each agent)',
+      '  {cyan-fg}↑/↓{/cyan-fg} {cyan-fg}Enter{/cyan-fg}      Select session / open detail pane',
+      '  {cyan-fg}/{/cyan-fg}              Filter sessions (text, channel:, kind:,',
+      '                   model:, status:, agent:)',
+      '  {cyan-fg}e{/cyan-fg}              Jump to next errored (aborted) session',
+      '  {cyan-fg}1-9{/cyan-fg}            Switch OpenClaw instance',
+      '  {cyan-fg}l{/cyan-fg}              Full-screen log viewer',
+      '  {cyan-fg}m{/cyan-fg}              Show/hide muted log lines',
+      '  {cyan-fg}c{/cyan-fg}              Per-core CPU view',
+      '  {cyan-fg}i{/cyan-fg}              Per-interface network view',
       '  {cyan-fg}?{/cyan-fg} or {cyan-fg}h{/cyan-fg}        Toggle this help panel',
       '  {cyan-fg}s{/cyan-fg} or {cyan-fg}S{/cyan-fg}        Open settings panel',
       '',
@@ -494,7 +2332,7 @@ class Dashboard {
       top: 'center',
       left: 'center',
       width: 50,
-      height: 13,
+      height: 25,
       border: { type: 'line' },
       style: {
         border: { fg: C.brightCyan },
@@ -517,6 +2355,192 @@ class Dashboard {
     this.screen.render();
   }
 
+  toggleNetworkView() {
+    if (this.w.netViewBox) {
+      this.w.netViewBox.destroy();
+      delete this.w.netViewBox;
+      delete this.w.netViewContent;
+      this.screen.render();
+      return;
+    }
+    const count = this.data.interfaces?.length || 1;
+    this.w.netViewBox = blessed.box({
+      parent: this.screen,
+      top: 'center',
+      left: 'center',
+      width: 80,
+      height: Math.min(count + 8, this.screen.height - 2),
+      border: { type: 'line' },
+      style: {
+        border: { fg: C.brightCyan },
+        bg: C.black
+      },
+      label: ' NETWORK INTERFACES '
+    });
+    this.w.netViewContent = blessed.box({
+      parent: this.w.netViewBox,
+      top: 0,
+      left: 1,
+      width: '100%-4',
+      height: '100%-2',
+      style: { fg: C.white, bg: C.black },
+      tags: true,
+      scrollable: true,
+      mouse: true
+    });
+    this.renderNetworkView();
+    this.screen.render();
+  }
+
+  // Every interface's rates and totals; the one the NETWORK box follows is marked,
+  // with its RX and TX history below
+  renderNetworkView() {
+    const interfaces = this.data.interfaces || [];
+    const selected = this.data.network?.interface;
+    const header = '{bold}  IFACE          STATE     RX/s      TX/s      RX TOTAL    TX TOTAL{/bold}';
+    const rows = interfaces.map(n => {
+      const mark = n.iface === selected ? '{cyan-fg}▶{/cyan-fg}' : ' ';
+      const state = `${n.operstate || '?'}${n.internal ? '*' : ''}`;
+      const color = n.operstate === 'up' ? 'white' : 'gray';
+      return `${mark} {${color}-fg}${blessed.escape(n.iface.substring(0, 14).padEnd(14))} ${state.padEnd(9)} ${formatBitsPerSecond(n.rxSec).padEnd(9)} ${formatBitsPerSecond(n.txSec).padEnd(9)} ${formatBytes(n.rxTotal || 0).padEnd(11)} ${formatBytes(n.txTotal || 0)}{/${color}-fg}`;
+    });
+    const history = [
+      '',
+      `  {green-fg}RX ${sparkline(this.history.netRx, NETWORK_HISTORY_LENGTH)}{/green-fg}  ${formatBitsPerSecond(this.data.network?.rxSec || 0)}`,
+      `  {magenta-fg}TX ${sparkline(this.history.netTx, NETWORK_HISTORY_LENGTH)}{/magenta-fg}  ${formatBitsPerSecond(this.data.network?.txSec || 0)}`
+    ];
+    const footer = `{gray-fg}  Network setting: ${blessed.escape(this.settings.networkInterface)} · * internal · change it in settings{/gray-fg}`;
+    this.w.netViewContent.setContent([header, ...rows, ...history, '', footer].join('\n'));
+  }
+
+  // Size of the agents' sessions and transcripts, re-measured at most once a minute
+  // in the background since walking a large tree takes a while
+  updateStateSize() {
+    if (this.stateSizePending || Date.now() - (this.stateSizeAt || 0) < STATE_SIZE_INTERVAL_MS) return;
+    this.stateSizePending = true;
+    dirSize(AGENTS_DIR).then((size) => {
+      this.data.stateSize = size;
+      this.stateSizeAt = Date.now();
+    }).finally(() => { this.stateSizePending = false; });
+  }
+
+  // Open file counts walk every fd (or run lsof), so sample them less often
+  updateOpenFiles(pids) {
+    if (this.openFilesPending || Date.now() - (this.openFilesAt || 0) < OPEN_FILES_INTERVAL_MS) return;
+    this.openFilesPending = true;
+    countOpenFiles(pids).then((count) => {
+      this.openFiles = count;
+      this.openFilesAt = Date.now();
+    }).catch(() => {}).finally(() => { this.openFilesPending = false; });
+  }
+
+  renderFootprint() {
+    const footprint = this.data.footprint;
+    if (!footprint) {
+      this.w.procValue.setContent(this.data.gatewayProcess ? 'Loading...' : 'Gateway not found');
+      this.w.procValue.style.fg = C.gray;
+      this.w.procDetail.setContent('');
+      this.w.procBox.setLabel(' OPENCLAW ');
+      return;
+    }
+    this.w.procValue.setContent(`CPU ${Math.round(footprint.cpu)}% · ${formatBytes(footprint.rss)}`);
+    this.w.procValue.style.fg = C.brightWhite;
+    // Scaled from the lowest sample so slow growth (a leak) is visible
+    const rss = this.history.gatewayRss;
+    const min = Math.min(...rss);
+    const files = this.openFiles != null ? ` · ${this.openFiles} fd` : '';
+    this.w.procDetail.setContent(`{cyan-fg}${sparkline(rss.map(v => v - min), 10)}{/cyan-fg} ${footprint.children} ch${files}`);
+    this.w.procBox.setLabel(` OPENCLAW · ${footprint.pids.length} procs `);
+  }
+
+  renderSensors() {
+    const sensors = this.data.sensors;
+    if (!sensors) {
+      this.w.sensorsTemp.setContent('Loading...');
+      this.w.sensorsPower.setContent('');
+      return;
+    }
+    const temp = (label, value) => `${label} {${getColor(value)}-fg}${Math.round(value)}°C{/${getColor(value)}-fg}`;
+    const temps = [];
+    if (sensors.cpuTemp != null) temps.push(temp('CPU', sensors.cpuTemp));
+    if (sensors.gpuTemp != null) temps.push(temp('GPU', sensors.gpuTemp));
+    if (sensors.fan != null) temps.push(`${Math.round(sensors.fan)}rpm`);
+    this.w.sensorsTemp.setContent(temps.join('  ') || 'No sensors');
+
+    const battery = sensors.battery;
+    let power = 'AC power';
+    if (battery) {
+      const state = battery.charging ? 'charging' : battery.acConnected ? 'on AC' : 'battery';
+      const left = battery.minutesLeft ? ` · ${Math.floor(battery.minutesLeft / 60)}h${String(battery.minutesLeft % 60).padStart(2, '0')}m` : '';
+      const color = !battery.charging && !battery.acConnected && battery.percent < 20 ? C.red : C.gray;
+      power = `{${color}-fg}${battery.percent}% ${state}${left}{/${color}-fg}`;
+    }
+    this.w.sensorsPower.setContent(power);
+
+    // macOS reports throttling as a thermal pressure level above Nominal
+    const throttled = sensors.pressure && !/^nominal$/i.test(sensors.pressure);
+    this.w.sensorsBox.setLabel(throttled ? ` SENSORS · ⚠ ${sensors.pressure} ` : ' SENSORS ');
+    this.w.sensorsBox.style.border.fg = throttled ? C.red : C.yellow;
+  }
+
+  toggleCoreView() {
+    if (this.w.coreBox) {
+      this.w.coreBox.destroy();
+      delete this.w.coreBox;
+      delete this.w.coreContent;
+      this.screen.render();
+      return;
+    }
+    const cores = this.data.cpu?.length || 1;
+    this.w.coreBox = blessed.box({
+      parent: this.screen,
+      top: 'center',
+      left: 'center',
+      width: 66,
+      height: Math.min(cores + 5, this.screen.height - 2),
+      border: { type: 'line' },
+      style: {
+        border: { fg: C.cyan },
+        bg: C.black
+      },
+      label: ' CPU CORES '
+    });
+    this.w.coreContent = blessed.box({
+      parent: this.w.coreBox,
+      top: 0,
+      left: 1,
+      width: '100%-4',
+      height: '100%-2',
+      style: { fg: C.white, bg: C.black },
+      tags: true,
+      scrollable: true,
+      mouse: true
+    });
+    this.renderCoreView();
+    this.screen.render();
+  }
+
+  // One row per core: load bar, current load and a sparkline of recent refreshes,
+  // under a summary line that flags a pinned core
+  renderCoreView() {
+    const loads = this.data.cpu || [];
+    const history = this.history.cores || [];
+    const pinned = this.data.pinnedCore;
+    const avg = Math.round(this.data.cpuAvg || 0);
+    const busiest = loads.reduce((best, load, i) => load > loads[best] ? i : best, 0);
+    let summary = `avg ${avg}%  ·  busiest core ${busiest} at ${Math.round(loads[busiest] || 0)}%`;
+    if (pinned) {
+      summary = `{yellow-fg}⚠ core ${pinned.core} pinned at ${Math.round(pinned.load)}% (others avg ${Math.round(pinned.othersAvg)}%){/yellow-fg}`;
+    }
+    const rows = loads.map((load, i) => {
+      const color = getColor(load);
+      const label = `core ${String(i).padStart(2)}`;
+      const bar = `{${color}-fg}${gauge(Math.min(100, load), 20)}{/${color}-fg}`;
+      return `${label}  ${bar} ${String(Math.round(load)).padStart(3)}%  {cyan-fg}${sparkline(history[i] || [], CORE_HISTORY_LENGTH)}{/cyan-fg}`;
+    });
+    this.w.coreContent.setContent([summary, '', ...rows].join('\n'));
+  }
+
   toggleSettings() {
     if (this.w.settingsBox) {
       this.closeSettings();
@@ -525,111 +2549,546 @@ class Dashboard {
     }
   }
 
-  closeSettings() {
-    if (this.w.settingsBox) {
-      this.w.settingsBox.destroy();
-      delete this.w.settingsBox;
-      delete this.w.settingsList;
-      this.screen.render();
+  closeSettings() {
+    if (this.w.settingsBox) {
+      this.w.settingsBox.destroy();
+      delete this.w.settingsBox;
+      delete this.w.settingsList;
+      this.w.sessList.focus();
+      this.screen.render();
+    }
+  }
+
+  showSettings() {
+    this.w.settingsBox = blessed.box({
+      parent: this.screen,
+      top: 'center',
+      left: 'center',
+      width: 56,
+      height: 21,
+      border: { type: 'line' },
+      style: {
+        border: { fg: C.brightGreen },
+        bg: C.black
+      },
+      label: ' SETTINGS '
+    });
+
+    blessed.text({
+      parent: this.w.settingsBox,
+      top: 1,
+      left: 'center',
+      content: '{bold}SETTINGS{/bold}',
+      style: { fg: C.brightWhite },
+      tags: true
+    });
+
+    blessed.text({
+      parent: this.w.settingsBox,
+      top: 3,
+      left: 2,
+      content: '↑/↓ Navigate    Enter Toggle    s/Esc Close',
+      style: { fg: C.cyan },
+      tags: true
+    });
+
+    this.w.settingsList = blessed.list({
+      parent: this.w.settingsBox,
+      top: 5,
+      left: 2,
+      width: 52,
+      height: 12,
+      items: this.settingsItems(),
+      style: {
+        fg: C.white,
+        bg: C.black,
+        selected: { fg: C.black, bg: C.yellow, bold: true },
+        item: { fg: C.white }
+      },
+      keys: true,
+      vi: false,
+      mouse: false,
+      scrollable: false
+    });
+
+    blessed.text({
+      parent: this.w.settingsBox,
+      bottom: 1,
+      left: 'center',
+      content: 'Changes auto-saved',
+      style: { fg: C.gray },
+      tags: true
+    });
+
+    // Handle selection
+    this.w.settingsList.on('select', (item, index) => {
+      this.toggleSettingOption(index);
+      // Refresh the list items
+      this.w.settingsList.setItems(this.settingsItems());
+      this.w.settingsList.select(index);
+      this.screen.render();
+    });
+
+    // Handle escape to close
+    this.w.settingsList.key(['escape'], () => {
+      this.closeSettings();
+    });
+
+    this.w.settingsList.focus();
+    this.screen.render();
+  }
+
+  // Live session filter prompt on the footer line. Enter keeps the filter,
+  // Esc restores the previous one.
+  promptSessionFilter() {
+    if (this.overlayOpen()) return;
+    const previous = this.settings.sessionFilter || '';
+
+    this.w.filterPrompt = blessed.text({ parent: this.screen, bottom: 0, left: 0, width: 1, height: 1, content: '/', style: { fg: C.brightCyan, bg: C.black } });
+    this.w.filterInput = blessed.textbox({
+      parent: this.screen,
+      bottom: 0,
+      left: 1,
+      width: '100%-1',
+      height: 1,
+      value: previous,
+      style: { fg: C.brightWhite, bg: C.black },
+      inputOnFocus: true
+    });
+
+    const close = (value) => {
+      this.w.filterPrompt.destroy();
+      this.w.filterInput.destroy();
+      delete this.w.filterPrompt;
+      delete this.w.filterInput;
+      this.settings.sessionFilter = value.trim();
+      saveSettings(this.settings);
+      this.w.sessList.focus();
+      this.render();
+    };
+
+    // Textbox updates its value after our keypress handler runs
+    this.w.filterInput.on('keypress', () => setImmediate(() => {
+      if (!this.w.filterInput) return;
+      this.settings.sessionFilter = this.w.filterInput.value.trim();
+      this.render();
+    }));
+    this.w.filterInput.on('submit', (value) => close(value || ''));
+    this.w.filterInput.on('cancel', () => close(previous));
+
+    this.w.filterInput.focus();
+    this.screen.render();
+  }
+
+  toggleLogViewer() {
+    if (this.w.logViewer) this.closeLogViewer();
+    else this.openLogViewer();
+  }
+
+  // Full-screen log viewer over the log buffer. Follow mode pins the view to the
+  // newest line; scrolling up leaves it, f toggles it back.
+  openLogViewer() {
+    this.logView = { offset: 0, follow: true, query: '', matchLine: -1 };
+
+    this.w.logViewer = blessed.box({
+      parent: this.screen,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%-1',
+      border: { type: 'line' },
+      style: { border: { fg: C.cyan }, bg: C.black },
+      label: ' OPENCLAW LOGS ',
+      mouse: true
+    });
+    this.w.logViewBody = blessed.box({
+      parent: this.w.logViewer,
+      top: 0,
+      left: 1,
+      width: '100%-3',
+      height: '100%-3',
+      style: { fg: C.gray, bg: C.black },
+      tags: true
+    });
+    this.w.logViewStatus = blessed.box({
+      parent: this.w.logViewer,
+      bottom: 0,
+      left: 1,
+      width: '100%-3',
+      height: 1,
+      style: { fg: C.gray, bg: C.black },
+      tags: true
+    });
+
+    const page = () => Math.max(1, this.w.logViewBody.height - 1);
+    const viewer = this.w.logViewer;
+    viewer.key(['escape'], () => this.closeLogViewer());
+    viewer.key(['up', 'k'], () => this.scrollLogViewer(-1));
+    viewer.key(['down', 'j'], () => this.scrollLogViewer(1));
+    viewer.key(['pageup'], () => this.scrollLogViewer(-page()));
+    viewer.key(['pagedown'], () => this.scrollLogViewer(page()));
+    viewer.key(['home'], () => this.scrollLogViewer(-Infinity));
+    viewer.key(['end'], () => this.scrollLogViewer(Infinity));
+    viewer.key(['f'], () => { this.logView.follow = !this.logView.follow; this.render(); });
+    viewer.key(['/'], () => this.promptLogSearch());
+    viewer.key(['n'], () => this.jumpLogMatch(1));
+    viewer.key(['S-n'], () => this.jumpLogMatch(-1));
+    viewer.on('wheelup', () => this.scrollLogViewer(-3));
+    viewer.on('wheeldown', () => this.scrollLogViewer(3));
+
+    viewer.focus();
+    this.render();
+  }
+
+  closeLogViewer() {
+    if (!this.w.logViewer) return;
+    this.w.logViewer.destroy();
+    delete this.w.logViewer;
+    delete this.w.logViewBody;
+    delete this.w.logViewStatus;
+    delete this.logView;
+    this.w.sessList.focus();
+    this.render();
+  }
+
+  // Top-level subsystems in the buffered log, for the subsystem filter
+  logSubsystems() {
+    const names = new Set();
+    for (const line of this.logBuffer.toArray()) {
+      const subsystem = parseLogLine(line).subsystem;
+      if (subsystem) names.add(subsystem.split('/')[0].toLowerCase());
+    }
+    return [...names].sort();
+  }
+
+  // Colorize a log line, in the color of the first highlight/alert rule it matches.
+  // Muted lines are grayed out while they are being shown.
+  formatLogLine(line) {
+    const options = { relativeTime: this.settings.logTimestamps === 'relative' };
+    const rule = this.logRules.find(r => r.regex.test(line));
+    if (rule) options.color = rule.action === 'mute' ? C.gray : rule.color;
+    return colorizeLogLine(line, options);
+  }
+
+  // Lines currently shown (level and subsystem filters and mute rules applied).
+  // Also counts the muted lines in the buffer for the LOGS label. Renders run
+  // up to 10x/s while logs stream, so the view is kept incrementally: new lines
+  // are filtered once, lines that fall out of the buffer are trimmed, and a
+  // filter change starts it over.
+  logViewerLines() {
+    const level = this.settings.logLevelFilter || 'all';
+    const subsystem = this.settings.logSubsystemFilter || 'all';
+    const key = `${level}|${subsystem}|${this.showMuted}`;
+    const buffer = this.logBuffer;
+    const oldest = buffer.total - buffer.size;
+    let view = this.logLinesView;
+    if (view?.key !== key) {
+      view = this.logLinesView = { key, filterFn: getLogFilterFn(level, subsystem), next: oldest, lines: [], seqs: [], muted: [] };
+    }
+    const mutes = this.logRules.filter(r => r.action === 'mute');
+    for (let seq = Math.max(view.next, oldest); seq < buffer.total; seq++) {
+      const line = buffer.get(seq - oldest);
+      const muted = mutes.some(r => r.regex.test(line));
+      if (muted) view.muted.push(seq);
+      if ((!muted || this.showMuted) && view.filterFn(line)) {
+        view.lines.push(line);
+        view.seqs.push(seq);
+      }
+    }
+    view.next = buffer.total;
+    const dropped = view.seqs.findIndex(seq => seq >= oldest);
+    if (dropped !== 0) {
+      view.lines.splice(0, dropped === -1 ? view.lines.length : dropped);
+      view.seqs.splice(0, dropped === -1 ? view.seqs.length : dropped);
+    }
+    const droppedMuted = view.muted.findIndex(seq => seq >= oldest);
+    if (droppedMuted !== 0) view.muted.splice(0, droppedMuted === -1 ? view.muted.length : droppedMuted);
+    this.logMutedCount = view.muted.length;
+    return view.lines;
+  }
+
+  // " · 3 muted" for the log labels
+  mutedLabel() {
+    if (!this.logMutedCount) return '';
+    return this.showMuted ? ` · showing ${this.logMutedCount} muted` : ` · ${this.logMutedCount} muted`;
+  }
+
+  scrollLogViewer(delta) {
+    const lines = this.logViewerLines();
+    const maxOffset = Math.max(0, lines.length - this.w.logViewBody.height);
+    if (this.logView.follow) this.logView.offset = maxOffset;
+    this.logView.offset = Math.max(0, Math.min(maxOffset, this.logView.offset + delta));
+    if (delta < 0) this.logView.follow = false;
+    this.render();
+  }
+
+  renderLogViewer(lines = this.logViewerLines()) {
+    const view = this.logView;
+    const height = this.w.logViewBody.height;
+    const maxOffset = Math.max(0, lines.length - height);
+    if (view.follow) view.offset = maxOffset;
+    view.offset = Math.min(view.offset, maxOffset);
+
+    const pattern = view.query ? searchPattern(view.query) : null;
+    const matches = pattern ? lines.reduce((acc, line, i) => {
+      pattern.lastIndex = 0;
+      if (pattern.test(line)) acc.push(i);
+      return acc;
+    }, []) : [];
+    view.matches = matches;
+
+    const visible = lines.slice(view.offset, view.offset + height).map((line, i) => {
+      const idx = view.offset + i;
+      if (!pattern || !matches.includes(idx)) return this.formatLogLine(line);
+      return highlightMatches(line, pattern, idx === view.matchLine ? 'yellow' : 'cyan');
+    });
+    this.w.logViewBody.setContent(visible.join('\n'));
+
+    const last = Math.min(lines.length, view.offset + height);
+    const matchIdx = matches.indexOf(view.matchLine);
+    const matchInfo = view.query ? `  "${blessed.escape(view.query)}" ${matchIdx >= 0 ? matchIdx + 1 : 0}/${matches.length}` : '';
+    const follow = view.follow ? 'follow ON' : 'follow off';
+    this.w.logViewer.setLabel(` OPENCLAW LOGS · ${view.offset + (lines.length ? 1 : 0)}-${last} of ${lines.length} · ${follow}${this.mutedLabel()} `);
+    this.w.logViewStatus.setContent(`↑/↓ PgUp/PgDn Home/End scroll  / search  n/N next/prev  f follow  m muted  Esc/l close${matchInfo}`);
+  }
+
+  promptLogSearch() {
+    const previous = this.logView.query;
+    const input = blessed.textbox({
+      parent: this.w.logViewer,
+      bottom: 0,
+      left: 1,
+      width: '50%',
+      height: 1,
+      value: previous,
+      style: { fg: C.brightWhite, bg: C.blue },
+      inputOnFocus: true
+    });
+    const close = (query) => {
+      input.destroy();
+      this.logView.query = query;
+      this.w.logViewer.focus();
+      this.render();
+    };
+    // Incremental: jump to the first match at or after the top of the view as you type
+    input.on('keypress', () => setImmediate(() => {
+      if (!this.logView) return;
+      this.logView.query = input.value;
+      this.logView.matchLine = this.logView.offset - 1;
+      this.jumpLogMatch(1);
+    }));
+    input.on('submit', (value) => close(value || ''));
+    input.on('cancel', () => close(previous));
+    input.focus();
+    this.screen.render();
+  }
+
+  jumpLogMatch(step) {
+    const view = this.logView;
+    if (!view.query) return;
+    const lines = this.logViewerLines();
+    const pattern = searchPattern(view.query);
+    const matches = lines.reduce((acc, line, i) => {
+      pattern.lastIndex = 0;
+      if (pattern.test(line)) acc.push(i);
+      return acc;
+    }, []);
+    if (!matches.length) {
+      view.matchLine = -1;
+      this.render();
+      return;
+    }
+    const next = step > 0
+      ? matches.find(i => i > view.matchLine) ?? matches[0]
+      : [...matches].reverse().find(i => i < view.matchLine) ?? matches[matches.length - 1];
+    view.matchLine = next;
+    view.follow = false;
+    // Keep the match a few lines below the top of the view
+    view.offset = Math.max(0, next - 3);
+    this.render();
+  }
+
+  openSessionDetail(session) {
+    if (!session) return;
+    this.closeSessionDetail();
+
+    const fields = [
+      ['key', session.key],
+      ['agent', session.agent],
+      ['displayName', session.displayName],
+      ['sessionId', session.sessionId],
+      ['kind', session.kind],
+      ['channel', session.channel],
+      ['model', session.model],
+      ['tokens', `${session.totalTokens} / ${session.contextTokens}`],
+      ['updatedAt', session.updatedAt ? new Date(session.updatedAt).toLocaleString('en-US') : '-'],
+      ['deliveryContext', JSON.stringify(session.deliveryContext)],
+      ['lastChannel', session.lastChannel || '-'],
+      ['lastTo', session.lastTo || '-'],
+      ['lastAccountId', session.lastAccountId || '-'],
+      ['systemSent', String(session.systemSent)],
+      ['abortedLastRun', String(session.abortedLastRun)],
+      ['transcriptPath', session.transcriptPath || '-']
+    ];
+    const lines = fields.map(([name, value]) => `${name.padEnd(16)} ${value}`);
+
+    lines.push('', '── transcript (tail) ──');
+    if (session.instance) {
+      // The path is on the remote host, not this one
+      lines.push(`Transcript is on ${session.instance}; not available remotely`);
+    } else if (!session.transcriptPath) {
+      lines.push('No transcript path');
+    } else {
+      try {
+        const tail = readFileTail(session.transcriptPath).split('\n').filter(Boolean);
+        lines.push(...tail.flatMap(formatTranscriptLine));
+      } catch (err) {
+        lines.push('Failed to read transcript: ' + err.message);
+      }
     }
-  }
 
-  showSettings() {
-    const refreshMs = this.settings.refreshInterval;
-    const refreshSec = refreshMs / 1000;
+    this.detail = { lines, query: '', matches: [], matchIdx: -1 };
 
-    this.w.settingsBox = blessed.box({
+    this.w.detailBox = blessed.box({
       parent: this.screen,
       top: 'center',
       left: 'center',
-      width: 56,
-      height: 16,
+      width: '90%',
+      height: '80%',
       border: { type: 'line' },
       style: {
-        border: { fg: C.brightGreen },
+        border: { fg: C.brightBlue },
         bg: C.black
       },
-      label: ' SETTINGS '
+      label: ` SESSION: ${blessed.escape(session.displayName)} `
     });
 
-    blessed.text({
-      parent: this.w.settingsBox,
-      top: 1,
-      left: 'center',
-      content: '{bold}SETTINGS{/bold}',
-      style: { fg: C.brightWhite },
-      tags: true
+    this.w.detailBody = blessed.box({
+      parent: this.w.detailBox,
+      top: 0,
+      left: 1,
+      width: '100%-3',
+      height: '100%-3',
+      style: { fg: C.white, bg: C.black },
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+      keys: true,
+      vi: true,
+      mouse: true,
+      scrollbar: { ch: ' ', style: { bg: C.blue } }
     });
 
-    blessed.text({
-      parent: this.w.settingsBox,
-      top: 3,
-      left: 2,
-      content: '↑/↓ Navigate    Enter Toggle    s/Esc Close',
-      style: { fg: C.cyan },
+    this.w.detailFooter = blessed.text({
+      parent: this.w.detailBox,
+      bottom: 0,
+      right: 1,
+      content: '',
+      style: { fg: C.gray, bg: C.black },
       tags: true
     });
 
-    this.w.settingsList = blessed.list({
-      parent: this.w.settingsBox,
-      top: 5,
-      left: 2,
-      width: 52,
-      height: 7,
-      items: [
-        `Refresh Interval: ${refreshSec}s (1s/2s/5s/10s)`,
-        `Show Network:     ${this.settings.showNetwork ? 'ON' : 'OFF'}`,
-        `Show GPU:         ${this.settings.showGPU ? 'ON' : 'OFF'}`,
-        `Show Disk:        ${this.settings.showDisk ? 'ON' : 'OFF'}`,
-        `Log Level Filter: ${this.settings.logLevelFilter.toUpperCase()}`
-      ],
-      style: {
-        fg: C.white,
-        bg: C.black,
-        selected: { fg: C.black, bg: C.yellow, bold: true },
-        item: { fg: C.white }
-      },
-      keys: true,
-      vi: false,
-      mouse: false,
-      scrollable: false
-    });
+    this.w.detailBody.key(['escape'], () => this.closeSessionDetail());
+    this.w.detailBody.key(['home'], () => { this.w.detailBody.scrollTo(0); this.screen.render(); });
+    this.w.detailBody.key(['end'], () => { this.w.detailBody.setScrollPerc(100); this.screen.render(); });
+    this.w.detailBody.key(['/'], () => this.promptDetailSearch());
+    this.w.detailBody.key(['n'], () => this.jumpDetailMatch(1));
+    this.w.detailBody.key(['S-n'], () => this.jumpDetailMatch(-1));
 
-    blessed.text({
-      parent: this.w.settingsBox,
-      bottom: 1,
-      left: 'center',
-      content: 'Changes auto-saved',
-      style: { fg: C.gray },
-      tags: true
-    });
+    this.renderSessionDetail();
+    this.w.detailBody.setScrollPerc(100);
+    this.w.detailBody.focus();
+    this.screen.render();
+  }
 
-    // Handle selection
-    this.w.settingsList.on('select', (item, index) => {
-      this.toggleSettingOption(index);
-      // Refresh the list items
-      const newRefreshMs = this.settings.refreshInterval;
-      const newRefreshSec = newRefreshMs / 1000;
-      this.w.settingsList.setItems([
-        `Refresh Interval: ${newRefreshSec}s (1s/2s/5s/10s)`,
-        `Show Network:     ${this.settings.showNetwork ? 'ON' : 'OFF'}`,
-        `Show GPU:         ${this.settings.showGPU ? 'ON' : 'OFF'}`,
-        `Show Disk:        ${this.settings.showDisk ? 'ON' : 'OFF'}`,
-        `Log Level Filter: ${this.settings.logLevelFilter.toUpperCase()}`
-      ]);
-      this.w.settingsList.select(index);
+  closeSessionDetail() {
+    if (this.w.detailBox) {
+      this.w.detailBox.destroy();
+      delete this.w.detailBox;
+      delete this.w.detailBody;
+      delete this.w.detailFooter;
+      delete this.detail;
+      this.w.sessList.focus();
       this.screen.render();
+    }
+  }
+
+  renderSessionDetail() {
+    const { lines, query, matches, matchIdx } = this.detail;
+    const pattern = query ? searchPattern(query) : null;
+    const content = lines.map((line, i) => {
+      if (!pattern || !matches.includes(i)) return blessed.escape(line);
+      return highlightMatches(line, pattern, matches[matchIdx] === i ? 'yellow' : 'cyan');
     });
+    this.w.detailBody.setContent(content.join('\n'));
 
-    // Handle escape to close
-    this.w.settingsList.key(['escape'], () => {
-      this.closeSettings();
+    const matchInfo = query ? `  "${blessed.escape(query)}" ${matches.length ? matchIdx + 1 : 0}/${matches.length}` : '';
+    this.w.detailFooter.setContent(`↑/↓ PgUp/PgDn Home/End scroll  / search  n/N next/prev  Esc close${matchInfo}`);
+  }
+
+  promptDetailSearch() {
+    const input = blessed.textbox({
+      parent: this.w.detailBox,
+      bottom: 0,
+      left: 1,
+      width: '50%',
+      height: 1,
+      style: { fg: C.brightWhite, bg: C.blue },
+      inputOnFocus: true
+    });
+    input.on('submit', (value) => {
+      input.destroy();
+      this.searchSessionDetail(value || '');
+      this.w.detailBody.focus();
+    });
+    input.on('cancel', () => {
+      input.destroy();
+      this.w.detailBody.focus();
+      this.screen.render();
     });
+    input.focus();
+    this.screen.render();
+  }
 
-    this.w.settingsList.focus();
+  searchSessionDetail(query) {
+    const needle = query.toLowerCase();
+    this.detail.query = query;
+    this.detail.matches = needle
+      ? this.detail.lines.map((line, i) => line.toLowerCase().includes(needle) ? i : -1).filter(i => i >= 0)
+      : [];
+    this.detail.matchIdx = this.detail.matches.length ? 0 : -1;
+    this.renderSessionDetail();
+    if (this.detail.matchIdx >= 0) this.w.detailBody.scrollTo(this.detail.matches[0]);
+    this.screen.render();
+  }
+
+  jumpDetailMatch(step) {
+    const { matches } = this.detail;
+    if (!matches.length) return;
+    this.detail.matchIdx = (this.detail.matchIdx + step + matches.length) % matches.length;
+    this.renderSessionDetail();
+    this.w.detailBody.scrollTo(matches[this.detail.matchIdx]);
     this.screen.render();
   }
 
+  settingsItems() {
+    const refreshSec = this.settings.refreshInterval / 1000;
+    return [
+      `Refresh Interval: ${refreshSec}s (1s/2s/5s/10s)`,
+      `Show Network:     ${this.settings.showNetwork ? 'ON' : 'OFF'}`,
+      `Show GPU:         ${this.settings.showGPU ? 'ON' : 'OFF'}`,
+      `Show Disk:        ${this.settings.showDisk ? 'ON' : 'OFF'}`,
+      `Log Level Filter: ${this.settings.logLevelFilter.toUpperCase()}`,
+      `Context Alerts:   ${this.settings.contextAlerts ? 'ON' : 'OFF'} (${this.settings.contextWarnPercent}%/${this.settings.contextCriticalPercent}%)`,
+      `Stream Events:    ${this.settings.streamEvents ? 'ON' : 'OFF'}`,
+      `Log Subsystem:    ${this.settings.logSubsystemFilter}`,
+      `Log Timestamps:   ${this.settings.logTimestamps.toUpperCase()}`,
+      `Show Sensors:     ${this.settings.showSensors ? 'ON' : 'OFF'}`,
+      `Network:          ${this.settings.networkInterface}`,
+      `Show Footprint:   ${this.settings.showFootprint ? 'ON' : 'OFF'}`
+    ];
+  }
+
   toggleSettingOption(index) {
     switch (index) {
       case 0: // Refresh interval - cycle through 1s, 2s, 5s, 10s
@@ -661,48 +3120,440 @@ class Dashboard {
         const currentLevel = levels.indexOf(this.settings.logLevelFilter);
         this.settings.logLevelFilter = levels[(currentLevel + 1) % levels.length];
         break;
+      case 5: // Toggle context pressure alerts
+        this.settings.contextAlerts = !this.settings.contextAlerts;
+        break;
+      case 6: // Toggle gateway event stream
+        this.settings.streamEvents = !this.settings.streamEvents;
+        if (this.settings.streamEvents) this.startStream();
+        else this.stopStream();
+        break;
+      case 7: // Cycle log subsystem filter through the subsystems seen in the log
+        const subsystems = ['all', ...this.logSubsystems()];
+        const currentSubsystem = subsystems.indexOf(this.settings.logSubsystemFilter);
+        this.settings.logSubsystemFilter = subsystems[(currentSubsystem + 1) % subsystems.length];
+        break;
+      case 8: // Toggle absolute/relative log timestamps
+        this.settings.logTimestamps = this.settings.logTimestamps === 'relative' ? 'absolute' : 'relative';
+        break;
+      case 9: // Toggle sensors widget
+        this.settings.showSensors = !this.settings.showSensors;
+        this.layoutBottomRow();
+        break;
+      case 10: // Cycle network interface: auto -> all -> each interface
+        const ifaces = ['auto', 'all', ...(this.data.interfaces || []).map(n => n.iface)];
+        const currentIface = ifaces.indexOf(this.settings.networkInterface);
+        this.settings.networkInterface = ifaces[(currentIface + 1) % ifaces.length];
+        break;
+      case 11: // Toggle OpenClaw footprint widget
+        this.settings.showFootprint = !this.settings.showFootprint;
+        this.layoutBottomRow();
+        break;
     }
     saveSettings(this.settings);
     // Re-render main dashboard to apply visibility changes
     this.render();
   }
 
-  // Fetch sessions directly from sessions.json (like openclaw CLI does)
-  // The Gateway API now only returns the current session, so we read the file directly
+  // Sessions from each agent's sessions.json (like openclaw CLI does), kept current
+  // by the watching SessionStore. The Gateway API now only returns the current
+  // session, so we read the files directly. A missing or corrupt file only marks
+  // that agent as errored; the rest still load.
   async fetchSessions() {
-    const sessionsPath = process.env.HOME + '/.openclaw/agents/main/sessions/sessions.json';
+    const store = this.sessionStore;
+    await store.ready;
+    this.data.agents = store.agentIds;
+    this.data.agentErrors = store.agentErrors;
+    if (!store.ok) throw new Error(store.error);
+
+    // Sorting is applied in render() based on sessionSortMode setting
+    return store.list();
+  }
+
+  // Store change: pick up the new rows right away instead of waiting for the next tick
+  async onSessionsChanged({ created, removed }) {
+    // Read before awaiting: the initial load finishes (and sets this) meanwhile,
+    // and its sessions aren't new
+    const loaded = this.sessionStoreLoaded;
     try {
-      const data = fs.readFileSync(sessionsPath, 'utf8');
-      const sessionsObj = JSON.parse(data);
-      
-      // Convert sessions object to array format similar to what the API used to return
-      const sessions = Object.entries(sessionsObj).map(([key, session]) => ({
-        key: key,
-        channel: session.channel || 'unknown',
-        displayName: session.displayName || key,
-        updatedAt: session.updatedAt || session.lastMessageAt || 0,
-        sessionId: session.sessionId || key,
-        model: session.model || 'unknown',
-        contextTokens: session.contextWindow || session.contextTokens || 0,
-        totalTokens: session.totalTokens || 0,
-        kind: session.kind || 'other',
-        deliveryContext: session.deliveryContext || {},
-        systemSent: session.systemSent || false,
-        abortedLastRun: session.abortedLastRun || false,
-        lastChannel: session.lastChannel || session.channel || '',
-        lastTo: session.lastTo || '',
-        lastAccountId: session.lastAccountId || '',
-        transcriptPath: session.transcriptPath || ''
-      }));
-      
-      // Sorting is applied in render() based on sessionSortMode setting
-      return sessions;
-    } catch (err) {
-      throw new Error('Failed to read sessions: ' + err.message);
+      this.data.sessions = await this.fetchSessions();
+    } catch {
+      return;
+    }
+    if (loaded && (created.length || removed.length)) {
+      const parts = [];
+      if (created.length) parts.push(`+${created.length} new session${created.length === 1 ? '' : 's'}`);
+      if (removed.length) parts.push(`-${removed.length} removed`);
+      this.showNotice(parts.join(', '), C.cyan);
+    } else {
+      this.scheduleRender();
+    }
+  }
+
+  selectInstance(index) {
+    if (index >= this.instances.length || index === this.activeInstance) return;
+    this.activeInstance = index;
+    this.selectedSessionUid = null;
+    this.render();
+  }
+
+  // Poll every remote instance in the background. Each keeps at most one request
+  // in flight, so a slow or unreachable host never holds up the refresh loop.
+  pollInstances() {
+    for (const instance of this.instances) {
+      if (instance.local || instance.invalid || instance.inFlight) continue;
+      instance.inFlight = true;
+      pollInstance(instance, this.settings.gatewayHealthPath).then((state) => {
+        Object.assign(instance, state, { inFlight: false });
+      }).catch((err) => {
+        Object.assign(instance, { error: err.message, updatedAt: Date.now(), inFlight: false });
+      }).finally(() => this.render());
+    }
+  }
+
+  // Sessions, agents and gateway state for the instance being viewed
+  currentView() {
+    const instance = this.instances[this.activeInstance];
+    if (instance.local) {
+      return {
+        instance,
+        sessions: this.data.sessions,
+        agents: this.data.agents,
+        // Per-agent errors, or the store's own when no agent has one (e.g. unreadable agents dir)
+        agentErrors: this.data.sessionsError && !Object.keys(this.data.agentErrors).length
+          ? { sessions: this.data.sessionsError }
+          : this.data.agentErrors,
+        online: this.data.openclaw?.gateway?.reachable,
+        health: this.data.openclaw?.gateway?.health
+      };
+    }
+    return {
+      instance,
+      sessions: instance.sessions,
+      agents: [...new Set(instance.sessions.map(s => s.agent))].sort(),
+      agentErrors: instance.error ? { [instance.name]: instance.error } : {},
+      online: instance.online,
+      health: instance.health
+    };
+  }
+
+  cycleSessionGroup() {
+    const modes = ['none', 'channel', 'kind', 'model', 'agent'];
+    const currentIdx = modes.indexOf(this.settings.sessionGroupMode);
+    this.settings.sessionGroupMode = modes[(currentIdx + 1) % modes.length];
+    saveSettings(this.settings);
+    this.render();
+  }
+
+  toggleGroup(name) {
+    const id = `${this.settings.sessionGroupMode}:${name}`;
+    if (this.collapsedGroups.has(id)) this.collapsedGroups.delete(id);
+    else this.collapsedGroups.add(id);
+    this.render();
+  }
+
+  // Move the session cursor to the next visible session whose last run aborted
+  selectNextErrored() {
+    const rows = this.sessRows || [];
+    const start = this.w.sessList.selected;
+    for (let i = 1; i <= rows.length; i++) {
+      const idx = (start + i) % rows.length;
+      if (rows[idx]?.abortedLastRun) {
+        this.w.sessList.select(idx);
+        this.w.sessList.focus();
+        this.screen.render();
+        return;
+      }
+    }
+  }
+
+  cycleAgentFilter() {
+    const agents = ['all', ...(this.currentView().agents || [])];
+    const currentIdx = agents.indexOf(this.settings.agentFilter);
+    this.settings.agentFilter = agents[(currentIdx + 1) % agents.length];
+    saveSettings(this.settings);
+    this.render();
+  }
+
+  // Price the token growth of each session since the last refresh and add it to
+  // today's ledger entry. Growth on unpriced models is kept as a token count so the
+  // totals can say they are incomplete instead of treating it as free.
+  trackCost() {
+    if (!this.prev?.sessions) return;
+    const prevByKey = new Map(this.prev.sessions.map(s => [sessionUid(s), s]));
+    const today = dayKey();
+    const entry = this.costLedger[today] || { cost: 0, unpricedTokens: 0 };
+    let changed = false;
+    for (const session of this.data.sessions) {
+      const prev = prevByKey.get(sessionUid(session));
+      if (!prev) continue;
+      const delta = {
+        totalTokens: session.totalTokens - prev.totalTokens,
+        inputTokens: session.inputTokens != null && prev.inputTokens != null ? session.inputTokens - prev.inputTokens : null,
+        outputTokens: session.outputTokens != null && prev.outputTokens != null ? session.outputTokens - prev.outputTokens : null
+      };
+      if (delta.totalTokens <= 0) continue;
+      const cost = estimateCost(delta, findModelPrice(session.model, this.settings.modelPricing));
+      if (cost == null) entry.unpricedTokens += delta.totalTokens;
+      else entry.cost += cost;
+      changed = true;
+    }
+    if (changed) {
+      this.costLedger[today] = entry;
+      saveCostLedger(this.costLedger);
+    }
+  }
+
+  // Sum of the ledger over the last N days (today included)
+  costSince(days) {
+    const total = { cost: 0, unpricedTokens: 0 };
+    for (let i = 0; i < days; i++) {
+      const entry = this.costLedger[dayKey(new Date(Date.now() - i * 86400000))];
+      if (!entry) continue;
+      total.cost += entry.cost;
+      total.unpricedTokens += entry.unpricedTokens;
+    }
+    return total;
+  }
+
+  // Alert when a session moves up a context threshold (none -> warn -> critical).
+  // The first pass only records levels so startup doesn't alert on every session.
+  checkContextPressure() {
+    const rank = { warn: 1, critical: 2 };
+    const levels = {};
+    for (const session of this.data.sessions) {
+      const uid = sessionUid(session);
+      const level = getContextLevel(session, this.settings);
+      levels[uid] = level;
+      const prevLevel = this.contextLevels?.[uid];
+      if (this.contextLevels && level && (rank[level] > (rank[prevLevel] || 0)) && this.settings.contextAlerts) {
+        const percent = Math.round(session.totalTokens / session.contextTokens * 100);
+        this.showNotice(`⚠ ${session.displayName}: context ${percent}% (${level})`, level === 'critical' ? C.red : C.yellow);
+        this.screen.program.bell();
+      }
+    }
+    this.contextLevels = levels;
+  }
+
+  // Run the actions of alert rules that fired this refresh (and of those that
+  // cleared, for rules with resolve: true). The banner follows the rule state.
+  checkAlertRules() {
+    let rang = false;
+    for (const event of evaluateAlertRules(this.alertRules, this.data)) {
+      if (event.state === 'resolved' && !event.rule.resolve) continue;
+      for (const action of event.rule.actions) {
+        if (action.type === 'bell') {
+          if (!rang) this.screen.program.bell();
+          rang = true;
+        } else if (action.type !== 'banner') {
+          const failed = (error) => this.showNotice(`Alert ${action.type} failed: ${error}`, C.red);
+          runAlertAction(action, event)
+            .then(result => { if (result?.ok === false) failed(result.error); })
+            .catch(err => failed(err.message));
+        }
+      }
+    }
+  }
+
+  // Flashes while any banner alert is firing, hidden otherwise
+  renderAlertBanner() {
+    const messages = firingAlertMessages(this.alertRules);
+    if (!messages.length) {
+      clearInterval(this.bannerTimer);
+      this.bannerTimer = null;
+      this.w.alertBanner.hide();
+      return;
+    }
+    this.w.alertBanner.setContent(`⚠ ${messages.join(' · ')}`);
+    this.w.alertBanner.show();
+    if (!this.bannerTimer) {
+      this.bannerTimer = setInterval(() => {
+        this.w.alertBanner.style.bg = this.w.alertBanner.style.bg === C.red ? C.brightRed : C.red;
+        this.screen.render();
+      }, 700);
+    }
+  }
+
+  // Transient message shown in the footer in place of the key hints
+  showNotice(text, color = C.yellow, durationMs = 8000) {
+    this.notice = { text, color, until: Date.now() + durationMs };
+    this.render();
+  }
+
+  // Connect to the gateway event feed. Session events upsert or remove rows and
+  // log events append to the log box; while disconnected, refresh() polls as before.
+  startStream() {
+    if (this.stream) return;
+    const gateway = getGatewayConfig();
+    this.stream = new GatewayEventStream({ url: gateway.url + this.settings.streamPath, token: gateway.token });
+    this.stream.on('open', async () => {
+      // Resync from disk so nothing between the last poll and the connect is lost
+      try {
+        await this.sessionStore.reload();
+        this.data.sessions = await this.fetchSessions();
+      } catch {}
+      this.scheduleRender();
+    });
+    this.stream.on('close', () => this.scheduleRender());
+    this.stream.on('event', (event) => this.applyStreamEvent(event));
+    this.stream.start();
+  }
+
+  stopStream() {
+    if (!this.stream) return;
+    this.stream.removeAllListeners();
+    this.stream.stop();
+    this.stream = null;
+    this.render();
+  }
+
+  // Events: "session" carries a session (with key) to upsert, "session.removed"
+  // a { key, agent } to drop, "log" a line as text or { line }.
+  applyStreamEvent(event) {
+    let payload;
+    try { payload = JSON.parse(event.data); } catch { payload = event.data; }
+    if (event.type === 'session' && payload?.key) {
+      const [session] = parseRemoteSessions({ sessions: [payload] });
+      const idx = this.data.sessions.findIndex(s => sessionUid(s) === sessionUid(session));
+      if (idx >= 0) this.data.sessions[idx] = session;
+      else this.data.sessions.push(session);
+    } else if (event.type === 'session.removed' && payload?.key) {
+      const [removed] = parseRemoteSessions({ sessions: [payload] });
+      this.data.sessions = this.data.sessions.filter(s => sessionUid(s) !== sessionUid(removed));
+    } else if (event.type === 'log') {
+      const line = typeof payload === 'string' ? payload : payload?.line ?? payload?.message;
+      // A tailed file or follow process already sees the same lines
+      if (!line || this.logLive()) return;
+      this.pushLogLine(line);
+    } else {
+      return;
+    }
+    this.scheduleRender();
+  }
+
+  // Push log lines as they are written, from the log files or a long-running
+  // `openclaw logs --follow`. Until either is live, refresh() polls the CLI.
+  async startLogSource() {
+    const mode = this.settings.logSource || 'auto';
+    if (mode === 'poll') return;
+    if (mode === 'auto' || mode === 'file') {
+      const tailer = new LogTailer({ resolveFiles: () => findLogFiles(this.settings) });
+      tailer.on('line', (line, path, initial) => this.pushLogLine(line, initial));
+      this.logTailer = tailer;
+      await tailer.start();
+      // In auto mode, fall through to --follow when there is nothing to tail
+      if (mode === 'file' || tailer.active) return;
+      tailer.stop();
+      this.logTailer = null;
+    }
+    this.startLogFollow();
+  }
+
+  startLogFollow() {
+    const child = spawn('openclaw', ['logs', '--follow', '--plain'], { stdio: ['ignore', 'pipe', 'ignore'] });
+    this.logFollow = child;
+    const done = () => {
+      // Unsupported flag, missing CLI or a crash: polling takes over
+      if (this.logFollow === child) this.logFollow = null;
+      this.scheduleRender();
+    };
+    child.on('error', done);
+    child.on('exit', done);
+    createInterface({ input: child.stdout }).on('line', (line) => this.pushLogLine(line));
+  }
+
+  stopLogSource() {
+    this.logTailer?.stop();
+    this.logTailer = null;
+    this.logFollow?.kill();
+    this.logFollow = null;
+  }
+
+  logLive() {
+    return Boolean(this.logTailer?.active || this.logFollow);
+  }
+
+  // Where log lines are coming from, for the LOGS label
+  logSourceLabel() {
+    if (this.logTailer?.active) {
+      const [first, ...rest] = this.logTailer.paths;
+      return `tail ${basename(first)}${rest.length ? ` +${rest.length}` : ''}`;
+    }
+    if (this.logFollow) return 'follow';
+    if (this.stream?.connected) return 'stream';
+    return 'poll';
+  }
+
+  // Muted lines are kept in the buffer and hidden at render time, so they can be
+  // shown again; alerts only fire for new lines, not a file's initial backlog
+  pushLogLine(line, initial = false) {
+    if (!line) return;
+    this.logBuffer.push(line);
+    if (!initial) this.onNewLogLine(line);
+    this.scheduleRender();
+  }
+
+  // Fire alert rules and count errors/warnings per minute; muted lines are noise
+  // and stay out of the rates
+  onNewLogLine(line) {
+    this.alertLogLine(line);
+    if (this.logRules.some(r => r.action === 'mute' && r.regex.test(line))) return;
+    if (countLogLine(this.logRates, line) === 'error') this.checkErrorSpike();
+  }
+
+  // Flag at most one spike per minute
+  checkErrorSpike() {
+    const rates = this.logRates;
+    const options = { multiplier: this.settings.errorSpikeMultiplier, minimum: this.settings.errorSpikeMinimum };
+    if (rates.spikeMinute === rates.minute || !isErrorSpike(rates, options)) return;
+    rates.spikeMinute = rates.minute;
+    const current = rates.error[LOG_RATE_MINUTES - 1];
+    this.showNotice(`⚠ Error spike: ${current}/min (baseline ${errorBaseline(rates).toFixed(1)}/min)`, C.red);
+    this.screen.program.bell();
+  }
+
+  // Spikes stay flagged through the following minute
+  errorSpiking() {
+    const rates = this.logRates;
+    return rates.spikeMinute !== null && rates.spikeMinute >= rates.minute - 1;
+  }
+
+  // " · err ▁▃█ 7/m · warn ▁▁▂ 1/m" for the LOGS label, over the last 10 minutes
+  logRateLabel() {
+    const { error, warn } = this.logRates;
+    const rate = (data) => `${sparkline(data, 10)} ${data[data.length - 1]}/m`;
+    return ` · err ${rate(error)} · warn ${rate(warn)}${this.errorSpiking() ? ' · ⚠ SPIKE' : ''}`;
+  }
+
+  alertLogLine(line) {
+    const rule = this.logRules.find(r => r.action === 'alert' && r.regex.test(line));
+    if (!rule) return;
+    const message = parseLogLine(line).message.trim();
+    this.showNotice(`⚠ ${message.length > 80 ? message.substring(0, 79) + '…' : message}`, rule.color);
+    // One bell per burst of matching lines
+    if (Date.now() - (this.lastLogBell || 0) > 5000) {
+      this.lastLogBell = Date.now();
+      this.screen.program.bell();
     }
   }
 
+  toggleMutedLines() {
+    this.showMuted = !this.showMuted;
+    this.render();
+  }
+
+  // Coalesce bursts of stream events into one render
+  scheduleRender() {
+    if (this.renderTimer) return;
+    this.renderTimer = setTimeout(() => {
+      this.renderTimer = null;
+      this.render();
+    }, 100);
+  }
+
   start() {
+    if (this.settings.streamEvents) this.startStream();
+    this.startLogSource();
     this.refresh();
     this.timer = setInterval(() => this.refresh(), this.settings.refreshInterval);
   }
@@ -712,14 +3563,27 @@ class Dashboard {
     this.history.memory.push(mem); this.history.memory.shift();
   }
 
+  // Short load history per core for the per-core view; resets if the core count changes
+  updateCoreHistory(loads) {
+    if (this.history.cores?.length !== loads.length) this.history.cores = loads.map(() => []);
+    loads.forEach((load, i) => {
+      const history = this.history.cores[i];
+      history.push(load);
+      if (history.length > CORE_HISTORY_LENGTH) history.shift();
+    });
+    this.data.pinnedCore = findPinnedCore(this.history.cores);
+  }
+
   async refresh() {
     const now = Date.now();
     const elapsed = now - this.lastTime;
+    this.pollInstances();
     
     try {
       const [cpu, mem] = await Promise.all([si.currentLoad(), si.mem()]);
       this.data.cpu = cpu.cpus.map(c => c.load);
       this.data.cpuAvg = cpu.currentLoad;
+      this.updateCoreHistory(this.data.cpu);
       // On macOS, mem.used includes cached memory. Use active + wired for actual usage
       // or calculate from available memory for consistency with Activity Monitor
       const actualUsed = mem.available ? (mem.total - mem.available) : mem.used;
@@ -738,109 +3602,130 @@ class Dashboard {
       this.data.system = `${os.distro || 'macOS'} ${os.release} (${os.arch})  Node v${ver.node}`;
       this.data.systemUptime = time.uptime;
       
-      // Fetch disk stats for root partition (if enabled)
+      // Fetch disk stats for the watched mounts (if enabled)
       if (!this.settings.showDisk) {
-        this.data.disk = null;
+        this.data.disks = [];
       } else try {
-        const fsSize = await si.fsSize();
-        const rootFs = fsSize.find(f => f.mount === '/') || fsSize[0];
-        if (rootFs) {
-          this.data.disk = {
-            usedGB: (rootFs.used / 1024**3).toFixed(1),
-            availableGB: (rootFs.available / 1024**3).toFixed(1),
-            totalGB: (rootFs.size / 1024**3).toFixed(1),
-            percent: Math.round(rootFs.use),
-            mount: rootFs.mount,
-            fs: rootFs.fs
-          };
-        }
+        this.data.disks = selectDiskMounts(await si.fsSize(), this.settings.diskMounts || []);
+        this.updateStateSize();
       } catch (e) {
-        this.data.disk = null;
+        this.data.disks = [];
       }
       
       // Fetch GPU stats (if enabled)
       if (this.settings.showGPU) {
-        this.data.gpu = await getMacGPU();
+        this.data.gpu = await getGPU();
+        if (this.data.gpu) { this.history.gpu.push(this.data.gpu.utilization || 0); this.history.gpu.shift(); }
       } else {
         this.data.gpu = null;
       }
+
+      // Fetch temperatures and battery (if enabled)
+      this.data.sensors = this.settings.showSensors ? await getSensors(this.data.gpu) : null;
       
       // Fetch network stats (if enabled)
       if (!this.settings.showNetwork) {
         this.data.network = null;
       } else try {
-        const netStats = await si.networkStats();
-        const primaryInterface = netStats.find(n => n.operstate === 'up' && !n.internal) || netStats[0];
-        if (primaryInterface) {
-          const now = Date.now();
-          if (this.lastNetTime && this.lastNetStats) {
-            const elapsedSec = (now - this.lastNetTime) / 1000;
-            const rxDiff = Math.max(0, primaryInterface.rx_bytes - this.lastNetStats.rx_bytes);
-            const txDiff = Math.max(0, primaryInterface.tx_bytes - this.lastNetStats.tx_bytes);
-            this.data.network = {
-              rxSec: rxDiff / elapsedSec,
-              txSec: txDiff / elapsedSec,
-              rxTotal: primaryInterface.rx_bytes,
-              txTotal: primaryInterface.tx_bytes,
-              interface: primaryInterface.iface
-            };
-            this.history.netRx.push(this.data.network.rxSec);
-            this.history.netRx.shift();
-            this.history.netTx.push(this.data.network.txSec);
-            this.history.netTx.shift();
+        const netStats = await si.networkStats('*');
+        const now = Date.now();
+        const elapsedSec = this.lastNetTime ? (now - this.lastNetTime) / 1000 : 0;
+        this.data.interfaces = interfaceRates(netStats, this.lastNetStats, elapsedSec);
+        const selected = selectInterface(this.data.interfaces, this.settings.networkInterface);
+        // Rates need two samples, so the first refresh only records counters
+        if (selected && this.lastNetStats) {
+          // Switching interfaces starts the sparklines over
+          if (this.data.network && this.data.network.interface !== selected.interface) {
+            this.history.netRx.fill(0);
+            this.history.netTx.fill(0);
           }
-          this.lastNetStats = { rx_bytes: primaryInterface.rx_bytes, tx_bytes: primaryInterface.tx_bytes };
-          this.lastNetTime = now;
+          this.data.network = selected;
+          this.history.netRx.push(this.data.network.rxSec);
+          this.history.netRx.shift();
+          this.history.netTx.push(this.data.network.txSec);
+          this.history.netTx.shift();
         }
+        this.lastNetStats = Object.fromEntries(netStats.map(n => [n.iface, { rx_bytes: n.rx_bytes, tx_bytes: n.tx_bytes }]));
+        this.lastNetTime = now;
       } catch (e) {
         this.data.network = null;
       }
       
       // Fetch sessions via API (same as clawps) - has displayName and channel
-      try {
+      // While the event stream is live, sessions are kept current by its events
+      if (!this.stream?.connected) try {
         const sessions = await this.fetchSessions();
         this.data.sessions = sessions || [];
-        this.data.openclaw = { gateway: { reachable: true } };
+        this.data.sessionsError = null;
       } catch (err) {
         // eslint-disable-next-line no-console
         console.error('Session fetch error:', err.message);
         this.data.sessions = this.data.sessions || [];
-        this.data.openclaw = { gateway: { reachable: false } };
+        this.data.sessionsError = err.message;
       }
 
+      // Probe the gateway itself - whether sessions.json is readable is a separate
+      // question, reported in the SESSIONS box
+      const gateway = getGatewayConfig();
+      const health = await probeGateway({ url: gateway.url + this.settings.gatewayHealthPath, token: gateway.token });
+      this.data.openclaw = { gateway: { reachable: health.ok, health } };
+
       // Calculate TPS - persist last known value, show gray when idle
-      if (this.data.openclaw?.sessions?.recent && this.prev?.openclaw?.sessions?.recent) {
-        for (const session of this.data.openclaw.sessions.recent) {
-          const prevSession = this.prev.openclaw.sessions.recent.find(s => s.key === session.key);
-          const tps = calcTPS(session, prevSession, elapsed);
+      if (this.prev?.sessions) {
+        const prevByKey = new Map(this.prev.sessions.map(s => [sessionUid(s), s]));
+        let totalTPS = 0;
+        for (const session of this.data.sessions) {
+          const uid = sessionUid(session);
+          const tps = calcTPS(session, prevByKey.get(uid), elapsed);
           if (tps !== null) {
-            this.data.sessionTPS[session.key] = { value: tps, active: true };
-            this.data.sessionLastTPS[session.key] = tps;
+            this.data.sessionTPS[uid] = { value: tps, active: true };
+            this.data.sessionLastTPS[uid] = tps;
+            totalTPS += tps;
           } else {
             // No new tokens - show last known TPS as inactive
-            const lastTPS = this.data.sessionLastTPS?.[session.key];
-            this.data.sessionTPS[session.key] = { value: lastTPS || null, active: false };
+            const lastTPS = this.data.sessionLastTPS?.[uid];
+            this.data.sessionTPS[uid] = { value: lastTPS || null, active: false };
           }
         }
+        this.data.totalTPS = totalTPS;
+        this.history.tps.push(totalTPS); this.history.tps.shift();
       }
 
-      // Fetch gateway uptime
-      this.data.gatewayUptime = await getGatewayUptime();
+      this.trackCost();
+      this.checkContextPressure();
 
-      // Fetch recent logs
-      try {
+      // Locate the gateway process for uptime, PID and restart count
+      this.data.gatewayProcess = await locateGateway();
+      const startedAt = this.data.gatewayProcess?.startedAt;
+      this.data.gatewayUptime = startedAt ? Math.floor((Date.now() - startedAt) / 1000) : null;
+
+      // What the gateway and everything it spawned cost (if enabled)
+      if (this.settings.showFootprint && this.data.gatewayProcess) {
+        const prev = this.data.footprint;
+        this.data.footprint = await getProcessFootprint(this.data.gatewayProcess.pid, prev).catch(() => null);
+        if (this.data.footprint) {
+          if (prev?.pid !== this.data.footprint.pid) this.history.gatewayRss = [];
+          this.history.gatewayRss.push(this.data.footprint.gatewayRss);
+          if (this.history.gatewayRss.length > HISTORY_LENGTH) this.history.gatewayRss.shift();
+          this.updateOpenFiles(this.data.footprint.pids);
+        }
+      } else {
+        this.data.footprint = null;
+      }
+
+      this.checkAlertRules();
+
+      // Fetch recent logs, unless a tailed file, follow process or the event stream delivers them
+      if (!this.logLive() && !this.stream?.connected) try {
         const { stdout } = await execAsync('openclaw logs --limit 100 --plain 2>/dev/null', { timeout: 5000 });
-        const filterFn = getLogFilterFn(this.settings.logLevelFilter || 'all');
-        const lines = stdout.trim().split('\n')
-          .filter(line => !line.includes('plugin CLI register skipped'))
-          .filter(line => filterFn(line))
-          .slice(-12);
-        if (lines.length > 0 && lines[0]) {
-          this.logLines = lines;
+        const lines = stdout.trim().split('\n').filter(Boolean);
+        // Level filtering and mute rules apply at render time so the buffer keeps everything
+        const primed = this.logBuffer.size > 0;
+        for (const line of this.logBuffer.mergeTail(lines)) {
+          if (primed) this.onNewLogLine(line);
         }
-        // If fetch failed but we have previous logs, keep those
       } catch (e) {
-        // Keep existing this.logLines on failure - don't replace with unavailable
+        // Keep the buffered lines on failure - don't replace with unavailable
       }
       
       this.prev = JSON.parse(JSON.stringify(this.data));
@@ -849,11 +3734,104 @@ class Dashboard {
     } catch (e) {}
   }
 
+  // One SESSIONS row (tagged) for a session
+  formatSessionRow(s) {
+    // Calculate idle time
+    const idleMs = s.updatedAt ? Date.now() - s.updatedAt : 0;
+
+    // Status: abort (red), active (green), idle (yellow), stale (gray)
+    let statusStr;
+    const status = getSessionStatus(s);
+    if (status === 'abort') {
+      statusStr = `{red-fg}abort {/red-fg}`;
+    } else if (status === 'active') {
+      statusStr = `{green-fg}active{/green-fg}`;
+    } else if (status === 'idle') {
+      statusStr = `{yellow-fg}idle  {/yellow-fg}`;
+    } else {
+      statusStr = `{gray-fg}stale {/gray-fg}`;
+    }
+
+    // Agent id (directory under ~/.openclaw/agents)
+    const agentId = (s.agent || '-').substring(0, 10).padEnd(10);
+
+    // Session name from displayName (like clawps)
+    let agentName = s.displayName || 'unknown';
+    agentName = agentName
+      .replace(/^Cron: /, '')
+      .substring(0, 34)
+      .padEnd(34);
+
+    // Model (shortened) - wider
+    const model = (shortModel(s.model)?.substring(0, 15) || '-').padEnd(15);
+
+    // Context: current/max (e.g., 15K/250K)
+    const currentTokens = s.totalTokens || 0;
+    const maxTokens = s.contextWindow || s.contextTokens || 0;
+    let context = `${formatTokens(currentTokens)}/${formatTokens(maxTokens)}`.padEnd(12);
+
+    // Mini gauge for sessions close to overflowing their context window
+    const contextLevel = getContextLevel(s, this.settings);
+    if (contextLevel) {
+      const color = contextLevel === 'critical' ? 'red' : 'yellow';
+      const percent = Math.min(100, currentTokens / maxTokens * 100);
+      context = `${context.substring(0, 10)}{${color}-fg}${gauge(percent, 5)}{/${color}-fg}`;
+    } else {
+      context = context.padEnd(15);
+    }
+
+    // Tokens per second - bright while generating, dim last-known value when idle
+    const tpsInfo = this.data.sessionTPS[sessionUid(s)];
+    let tps = (tpsInfo?.value != null ? tpsInfo.value.toFixed(1) : '-').padEnd(7);
+    if (tpsInfo?.active) tps = `{bright-green-fg}${tps}{/bright-green-fg}`;
+    else if (tpsInfo?.value != null) tps = `{gray-fg}${tps}{/gray-fg}`;
+
+    // Estimated cost of the session's tokens; "?" when the model has no price
+    const cost = formatCost(estimateCost(s, findModelPrice(s.model, this.settings.modelPricing))).padEnd(7);
+
+    // Idle time formatted - wider
+    const idle = formatIdle(idleMs).padEnd(7);
+
+    // Channel (telegram, webchat, etc.) - wider
+    const channel = (s.channel || '-').substring(0, 10).padEnd(10);
+
+    return `${statusStr} ${agentId} ${agentName} ${model} ${context} ${tps} ${cost} ${idle} ${channel}`;
+  }
+
+  // Group header row: name, session count, total tokens and most recent activity
+  formatGroupRow(group, collapsed) {
+    const arrow = collapsed ? '▸' : '▾';
+    const count = `${group.sessions.length} session${group.sessions.length === 1 ? '' : 's'}`;
+    const lastActive = group.updatedAt ? formatIdle(Date.now() - group.updatedAt) + ' ago' : '-';
+    return `{bold}${arrow} ${blessed.escape(group.name)}{/bold}  {gray-fg}${count} · ${formatTokens(group.totalTokens)} tokens · last ${lastActive}{/gray-fg}`;
+  }
+
+  // Replace session list rows, keeping the cursor on the same session across refreshes
+  setSessionRows(lines, rows) {
+    const selectedUid = this.selectedSessionUid;
+    this.sessRows = rows;
+    // Only touch rows whose text changed; a different row count needs a full reset
+    if (this.sessLines?.length === lines.length) {
+      lines.forEach((line, i) => {
+        if (this.sessLines[i] !== line) this.w.sessList.setItem(i, line);
+      });
+    } else {
+      this.w.sessList.setItems(lines);
+    }
+    this.sessLines = lines;
+    const idx = rows.findIndex(row => row && sessionRowId(row) === selectedUid);
+    this.w.sessList.select(idx >= 0 ? idx : Math.min(this.w.sessList.selected, rows.length - 1));
+  }
+
   render() {
     const cpuPercent = Math.round(this.data.cpuAvg || 0);
     this.w.cpuValue.setContent(`${cpuPercent}%`);
     this.w.cpuValue.style.fg = getColor(cpuPercent);
-    this.w.cpuDetail.setContent(`${this.data.cpu?.length || 0} cores`);
+    const pinned = this.data.pinnedCore;
+    this.w.cpuDetail.setContent(pinned ? `⚠ core ${pinned.core} pinned` : `${this.data.cpu?.length || 0} cores`);
+    this.w.cpuDetail.style.fg = pinned ? C.yellow : C.gray;
+    if (this.w.coreBox) this.renderCoreView();
+    if (this.w.netViewBox) this.renderNetworkView();
     this.w.cpuSpark.setContent(sparkline(this.history.cpu));
     this.w.cpuSpark.style.fg = cpuPercent > 60 ? C.yellow : C.cyan;
 
@@ -872,14 +3850,21 @@ class Dashboard {
       this.w.gpuDetail.setContent('');
       this.w.gpuSpark.setContent('');
     } else if (this.data.gpu) {
-      this.w.gpuValue.setContent(this.data.gpu.short);
+      const gpu = this.data.gpu;
+      this.w.gpuValue.setContent(gpu.count > 1 ? `${gpu.count}× ${gpu.short}` : gpu.short);
       this.w.gpuValue.style.fg = C.brightYellow;
+      const gb = (bytes) => (bytes / 1024 ** 3).toFixed(bytes >= 10 * 1024 ** 3 ? 0 : 1);
       let details = [];
-      if (this.data.gpu.utilization != null) details.push(`${Math.round(this.data.gpu.utilization)}% util`);
-      if (this.data.gpu.frequency) details.push(`${this.data.gpu.frequency}MHz`);
-      this.w.gpuDetail.setContent(details.join('  ') || 'Apple Silicon');
+      if (gpu.utilization != null) details.push(`${Math.round(gpu.utilization)}%`);
+      if (gpu.memUsed != null && gpu.memTotal) details.push(`${gb(gpu.memUsed)}/${gb(gpu.memTotal)}G`);
+      if (gpu.temperature != null) details.push(`${Math.round(gpu.temperature)}°C`);
+      if (gpu.power != null) details.push(`${Math.round(gpu.power)}W`);
+      if (gpu.frequency) details.push(`${gpu.frequency}MHz`);
+      // Fit the box: drop to single spaces when everything is reported
+      const detail = details.join('  ').length > 28 ? details.join(' ') : details.join('  ');
+      this.w.gpuDetail.setContent(detail || (gpu.source === 'apple' ? 'Apple Silicon' : ''));
       this.w.gpuDetail.style.fg = C.gray;
-      this.w.gpuSpark.setContent(gauge(this.data.gpu.utilization || 0, 12));
+      this.w.gpuSpark.setContent(gpu.utilization != null ? sparkline(this.history.gpu) : '');
       this.w.gpuSpark.style.fg = C.yellow;
     } else {
       this.w.gpuValue.setContent('Not Detected');
@@ -893,13 +3878,15 @@ class Dashboard {
       this.w.netValue.setContent('[Disabled]');
       this.w.netValue.style.fg = C.gray;
       this.w.netDetail.setContent('');
+      this.w.netBox.setLabel(' NETWORK ');
     } else if (this.data.network) {
       const rxStr = formatBitsPerSecond(this.data.network.rxSec);
       const txStr = formatBitsPerSecond(this.data.network.txSec);
       const netText = `▼${rxStr} ▲${txStr}`;
       this.w.netValue.setContent(netText);
       this.w.netValue.style.fg = C.brightCyan;
-      this.w.netDetail.setContent(this.data.network.interface || 'eth0');
+      this.w.netDetail.setContent(`{green-fg}▼${sparkline(this.history.netRx, 10)}{/green-fg} {magenta-fg}▲${sparkline(this.history.netTx, 10)}{/magenta-fg}`);
+      this.w.netBox.setLabel(` NETWORK · ${this.data.network.interface} `);
     } else {
       this.w.netValue.setContent('No network');
       this.w.netValue.style.fg = C.gray;
@@ -907,17 +3894,47 @@ class Dashboard {
     }
 
     // Render header OpenClaw status - logo color shows offline state
-    const isOnline = this.data.openclaw?.gateway?.reachable;
+    const view = this.currentView();
+    const isOnline = view.online;
     if (isOnline) {
       this.w.logo.style.fg = C.brightCyan;
     } else {
       this.w.logo.style.fg = C.red;  // Logo turns red when offline!
     }
 
-    if (this.data.sessions.length) {
+    // Pin the view to one agent, or show every agent's sessions merged
+    const agentFilter = this.settings.agentFilter || 'all';
+    const agentSessions = agentFilter === 'all'
+      ? view.sessions
+      : view.sessions.filter(s => s.agent === agentFilter);
+    const sessionFilter = this.settings.sessionFilter || '';
+    const filterFn = parseSessionFilter(sessionFilter);
+    const visibleSessions = agentSessions.filter(s => filterFn(s));
+    const groupMode = this.settings.sessionGroupMode || 'none';
+    const erroredAgents = Object.keys(view.agentErrors || {})
+      .filter(agent => agentFilter === 'all' || agent === agentFilter);
+    const errorLines = erroredAgents.map(agent =>
+      `{red-fg}error {/red-fg} ${agent.substring(0, 10).padEnd(10)} {gray-fg}${view.agentErrors[agent]}{/gray-fg}`);
+
+    // Summary strip: one entry per instance when more than the local one is configured
+    if (this.instances.length > 1) {
+      const entries = this.instances.map((instance, i) => {
+        const online = instance.local ? this.data.openclaw?.gateway?.reachable : instance.online;
+        const sessions = instance.local ? this.data.sessions : instance.sessions;
+        const active = sessions.filter(s => getSessionStatus(s) === 'active').length;
+        const dot = online == null ? '{gray-fg}○{/gray-fg}' : online ? '{green-fg}●{/green-fg}' : '{red-fg}●{/red-fg}';
+        const state = online === false ? 'offline' : `${active} active`;
+        const name = blessed.escape(instance.name);
+        const label = i === this.activeInstance ? `{bold}{white-fg}${name}{/white-fg}{/bold}` : name;
+        return `{cyan-fg}${i + 1}{/cyan-fg} ${dot} ${label} {gray-fg}${state}{/gray-fg}`;
+      });
+      this.w.instanceStrip.setContent(entries.join('   '));
+    }
+
+    if (visibleSessions.length) {
       // Sort sessions based on current sort mode
       const sortMode = this.settings.sessionSortMode || 'time';
-      const sortedSessions = [...this.data.sessions].sort((a, b) => {
+      const sortedSessions = [...visibleSessions].sort((a, b) => {
         switch (sortMode) {
           case 'time':
             return (b.updatedAt || 0) - (a.updatedAt || 0); // Most recent first
@@ -934,68 +3951,42 @@ class Dashboard {
         }
       });
 
-      const lines = sortedSessions.map(s => {
-        // Calculate idle time
-        const idleMs = s.updatedAt ? Date.now() - s.updatedAt : 0;
-
-        // Status: active (green), idle (yellow), stale (red)
-        let statusStr;
-        if (idleMs < 5 * 60 * 1000) {
-          statusStr = `{green-fg}active{/green-fg}`;
-        } else if (idleMs < 30 * 60 * 1000) {
-          statusStr = `{yellow-fg}idle  {/yellow-fg}`;
-        } else {
-          statusStr = `{gray-fg}stale {/gray-fg}`;
+      const rows = [];
+      const lines = [];
+      if (groupMode === 'none') {
+        rows.push(...sortedSessions);
+        lines.push(...sortedSessions.map(s => this.formatSessionRow(s)));
+      } else {
+        for (const group of groupSessions(sortedSessions, groupMode)) {
+          const collapsed = this.collapsedGroups.has(`${groupMode}:${group.name}`);
+          rows.push({ group: group.name });
+          lines.push(this.formatGroupRow(group, collapsed));
+          if (!collapsed) {
+            rows.push(...group.sessions);
+            lines.push(...group.sessions.map(s => this.formatSessionRow(s)));
+          }
         }
-
-        // Agent name from displayName (like clawps) - wider now
-        let agentName = s.displayName || 'unknown';
-        agentName = agentName
-          .replace(/^Cron: /, '')
-          .substring(0, 45)
-          .padEnd(45);
-
-        // Model (shortened) - wider
-        const model = (s.model?.replace('moonshot/', '').replace('openrouter/', 'or/')?.substring(0, 15) || '-').padEnd(15);
-
-        // Context: current/max (e.g., 15K/250K)
-        const currentTokens = s.totalTokens || 0;
-        const maxTokens = s.contextWindow || s.contextTokens || 0;
-        const formatToks = (n) => {
-          if (n >= 1000000) return (n/1000000).toFixed(1) + 'M';
-          if (n >= 1000) return Math.round(n/1000) + 'K';
-          return n.toString();
-        };
-        const context = `${formatToks(currentTokens)}/${formatToks(maxTokens)}`.padEnd(12);
-
-        // Idle time formatted - wider
-        let idle;
-        if (idleMs < 60000) idle = `${Math.round(idleMs / 1000)}s`;
-        else if (idleMs < 3600000) idle = `${Math.round(idleMs / 60000)}m`;
-        else idle = `${Math.round(idleMs / 3600000)}h`;
-        idle = idle.padEnd(7);
-
-        // Channel (telegram, webchat, etc.) - wider
-        const channel = (s.channel || '-').substring(0, 10).padEnd(10);
-
-        return `${statusStr} ${agentName} ${model} ${context} ${idle} ${channel}`;
-      });
-      this.w.sessList.setContent(lines.join('\n'));
+      }
+      this.setSessionRows([...errorLines, ...lines], [...errorLines.map(() => null), ...rows]);
+    } else if (errorLines.length) {
+      this.setSessionRows(errorLines, errorLines.map(() => null));
     } else {
-      this.w.sessList.setContent('No active sessions');
+      this.setSessionRows(['No active sessions'], [null]);
     }
 
     // Update logs - colorize by level and filter
-    if (this.logLines.length) {
-      const filter = this.settings.logLevelFilter || 'all';
-      const filterFn = getLogFilterFn(filter);
-      const coloredLines = this.logLines
-        .filter(line => filterFn(line))
-        .map(line => colorizeLogLine(line));
-      this.w.logContent.setContent(coloredLines.join('\n'));
+    const logLines = this.logViewerLines();
+    if (logLines.length) {
+      const visible = Math.max(1, (this.w.logBox.height || 14) - 2);
+      this.w.logContent.setContent(logLines.slice(-visible).map(line => this.formatLogLine(line)).join('\n'));
     } else {
       this.w.logContent.setContent('No log output');
     }
+    const subsystem = this.settings.logSubsystemFilter;
+    advanceLogRates(this.logRates);
+    this.w.logBox.setLabel(` OPENCLAW LOGS · ${this.logSourceLabel()}${subsystem && subsystem !== 'all' ? ` · ${subsystem}` : ''}${this.mutedLabel()}${this.logRateLabel()} `);
+    this.w.logBox.style.border.fg = this.errorSpiking() ? C.red : C.cyan;
+    if (this.w.logViewer) this.renderLogViewer(logLines);
 
     // Split system info into two lines: OS version and Node version
     if (this.data.system) {
@@ -1042,33 +4033,61 @@ class Dashboard {
       this.w.clock.setContent(`${timeStr} ${dateStr}`);
     }
 
-    // Render disk widget
+    this.renderAlertBanner();
+
+    // Render disk widget - rotates through the watched mounts; the border takes the
+    // color of the fullest one so a filling volume shows even while rotated away
+    const disks = this.data.disks || [];
     if (!this.settings.showDisk) {
       this.w.diskValue.setContent('[Disabled]');
       this.w.diskValue.style.fg = C.gray;
       this.w.diskGauge.setContent('');
+      this.w.diskBox.setLabel(' DISK ');
       this.w.diskBox.style.border.fg = C.gray;
-    } else if (this.data.disk) {
-      const diskPercent = this.data.disk.percent || 0;
-      const diskText = `${this.data.disk.usedGB}GB / ${this.data.disk.totalGB}GB`;
-      this.w.diskValue.setContent(diskText);
-      this.w.diskValue.style.fg = getColor(diskPercent);
-      this.w.diskGauge.setContent(gauge(diskPercent, 10));
-      this.w.diskGauge.style.fg = getColor(diskPercent);
-      this.w.diskBox.style.border.fg = getColor(diskPercent);
+    } else if (disks.length) {
+      const idx = Math.floor(Date.now() / DISK_ROTATE_MS) % disks.length;
+      const disk = disks[idx];
+      const gb = (bytes) => (bytes / 1024 ** 3).toFixed(bytes >= 100 * 1024 ** 3 ? 0 : 1);
+      const state = disk.openclaw && this.data.stateSize != null ? ` · sessions ${formatBytes(this.data.stateSize)}` : '';
+      this.w.diskValue.setContent(`${gb(disk.used)}/${gb(disk.size)}GB${state}`);
+      this.w.diskValue.style.fg = getColor(disk.percent);
+      this.w.diskGauge.setContent(`${gauge(disk.percent, 10)} ${disk.percent}%`);
+      this.w.diskGauge.style.fg = getColor(disk.percent);
+      const position = disks.length > 1 ? ` ${idx + 1}/${disks.length}` : '';
+      this.w.diskBox.setLabel(` DISK · ${disk.mount}${disk.openclaw ? ' ◆' : ''}${position} `);
+      this.w.diskBox.style.border.fg = getColor(Math.max(...disks.map(d => d.percent)));
     } else {
       this.w.diskValue.setContent('No disk info');
       this.w.diskValue.style.fg = C.gray;
       this.w.diskGauge.setContent('');
+      this.w.diskBox.setLabel(' DISK ');
     }
 
+    // Render sensors widget - temperatures colored like load, battery below
+    if (this.settings.showSensors) this.renderSensors();
+
+    // Render OpenClaw footprint widget - gateway plus children
+    if (this.settings.showFootprint) this.renderFootprint();
+
+    // Render cost widget - "+?" marks spend on models without a price
+    const costToday = this.costSince(1);
+    const costWeek = this.costSince(7);
+    const formatSpend = (total) => formatCost(total.cost) + (total.unpricedTokens > 0 ? ' +?' : '');
+    this.w.costToday.setContent(`Today: ${formatSpend(costToday)}`);
+    this.w.costWeek.setContent(`7d: ${formatSpend(costWeek)}`);
+
     // Render uptime widget - Sys on line 1, Claw on line 2
     const sysUptime = formatDuration(this.data.systemUptime);
     const gwUptime = formatDuration(this.data.gatewayUptime);
     this.w.uptimeSys.setContent(`Sys: ${sysUptime}`);
-    this.w.uptimeClaw.setContent(`Claw: ${gwUptime}`);
+    const health = view.health;
+    const healthStr = !health ? '' : health.status ? ` · ${health.status} ${health.latencyMs}ms` : ` · ${health.error}`;
+    this.w.uptimeClaw.setContent(`${view.instance.local ? 'Claw: ' + gwUptime : view.instance.name}${healthStr}`);
+    const proc = view.instance.local ? this.data.gatewayProcess : null;
+    const restartStr = proc?.restarts ? ` ↻${proc.restarts}` : '';
+    this.w.uptimeBox.setLabel(proc ? ` UPTIME · pid ${proc.pid}${restartStr} ` : ' UPTIME ');
     // Color based on gateway health - green if running, yellow if system up but gateway down
-    if (this.data.openclaw?.gateway?.reachable) {
+    if (view.online) {
       this.w.uptimeSys.style.fg = C.brightMagenta;
       this.w.uptimeClaw.style.fg = C.brightMagenta;
       this.w.uptimeBox.style.border.fg = C.brightMagenta;
@@ -1086,11 +4105,36 @@ class Dashboard {
     const refreshSec = Math.round(this.settings.refreshInterval / 1000);
     const pauseIndicator = this.isPaused ? '▶ running' : 'p pause';
     const sortMode = this.settings.sessionSortMode;
-    this.w.footerText.setContent(`q quit  r refresh  ${pauseIndicator}  o sort:${sortMode}  ? help  s settings  •  ${refreshSec}s refresh`);
+    const streamIndicator = !this.stream ? '' : this.stream.connected ? '  ⚡ live' : '  ⚡ reconnecting';
+    if (this.notice && this.notice.until > Date.now()) {
+      this.w.footerText.setContent(`{${this.notice.color}-fg}${blessed.escape(this.notice.text)}{/${this.notice.color}-fg}`);
+    } else {
+      this.notice = null;
+      this.w.footerText.setContent(`q quit  r refresh  ${pauseIndicator}  o sort:${sortMode}  g group:${groupMode}  a agent:${agentFilter}  ? help  s settings  •  ${refreshSec}s refresh${streamIndicator}`);
+    }
 
     // Update session box label to show sort mode
     const sortLabel = sortMode === 'time' ? 'TIME' : sortMode === 'tokens' ? 'TOKENS' : sortMode === 'idle' ? 'IDLE' : 'NAME';
-    this.w.sessBox.setLabel(` SESSIONS (${sortLabel}) `);
+    // The label parses tags, so user text goes in escaped
+    const agentLabel = agentFilter === 'all' ? '' : ` · ${blessed.escape(agentFilter)}`;
+    const groupLabel = groupMode === 'none' ? '' : ` · by ${groupMode}`;
+    const filterLabel = sessionFilter ? ` · /${blessed.escape(sessionFilter)} ${visibleSessions.length}/${agentSessions.length}` : '';
+    const contextCounts = { warn: 0, critical: 0 };
+    for (const s of agentSessions) {
+      const level = getContextLevel(s, this.settings);
+      if (level) contextCounts[level]++;
+    }
+    const contextLabel = contextCounts.warn || contextCounts.critical
+      ? ` · ctx {red-fg}${contextCounts.critical} crit{/red-fg} {yellow-fg}${contextCounts.warn} warn{/yellow-fg}`
+      : '';
+    const errorCount = agentSessions.filter(s => s.abortedLastRun).length;
+    const errorLabel = errorCount ? ` · {red-fg}${errorCount} errored{/red-fg}` : '';
+    const instanceLabel = this.instances.length > 1 ? ` @${blessed.escape(view.instance.name)}` : '';
+    // Aggregate throughput across all sessions (tracked for the local instance only)
+    const totalTPS = this.data.totalTPS || 0;
+    const tpsRate = `${sparkline(this.history.tps, 10)} ${totalTPS.toFixed(1)} tok/s`;
+    const tpsLabel = view.instance.local ? ` · ${totalTPS > 0 ? `{green-fg}${tpsRate}{/green-fg}` : tpsRate}` : '';
+    this.w.sessBox.setLabel(` SESSIONS${instanceLabel} (${sortLabel})${tpsLabel}${groupLabel}${agentLabel}${filterLabel}${errorLabel}${contextLabel} `);
 
     try {
       this.screen.render();
@@ -1104,4 +4148,20 @@ class Dashboard {
   }
 }
 
-new Dashboard();
+export {
+  probeGateway,
+  parseLaunchctlList, parseLaunchctlPrint, parseSystemctlShow, parseProcStartTime,
+  locateViaLaunchd, locateViaSystemd, locateViaPidfile, locateViaProc, locateGateway,
+  fetchJSON, parseRemoteSessions, pollInstance,
+  createSSEParser, GatewayEventStream,
+  diffSessions, SessionStore,
+  findLogFiles, LogTailer,
+  parseLogLine, compileLogRules, createLogRates, countLogLine, isErrorSpike,
+  parseNvidiaSmi, readNvidiaGPU, readAmdGPU, getGPU,
+  compileAlertRules, evaluateAlertRules, runAlertAction
+};
+
+// Only start the UI when run directly, not when imported (e.g. by test.js)
+let isMain = false;
+try { isMain = fs.realpathSync(process.argv[1]) === __filename; } catch {}
+if (isMain) new Dashboard();
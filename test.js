@@ -6,6 +6,18 @@ import contrib from 'blessed-contrib';
 import si from 'systeminformation';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import {
+  probeGateway, pollInstance, createSSEParser, GatewayEventStream, SessionStore,
+  findLogFiles, LogTailer,
+  parseLogLine, compileLogRules, createLogRates, countLogLine, isErrorSpike,
+  locateViaLaunchd, locateViaSystemd, locateViaPidfile, locateViaProc, locateGateway,
+  parseNvidiaSmi, readNvidiaGPU, readAmdGPU, getGPU,
+  compileAlertRules, evaluateAlertRules, runAlertAction
+} from './index.js';
 
 const execAsync = promisify(exec);
 
@@ -41,6 +53,411 @@ async function test() {
     console.log('❌ OpenClaw error:', e.message);
   }
   
+  // Test 4: Gateway health probe against a local stub server
+  try {
+    const server = http.createServer((req, res) => {
+      const authorized = req.headers.authorization === 'Bearer test-token';
+      res.writeHead(req.url === '/health' && authorized ? 200 : 401);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    const up = await probeGateway({ url: url + '/health', token: 'test-token' });
+    const denied = await probeGateway({ url: url + '/health', token: 'wrong' });
+    await new Promise(resolve => server.close(resolve));
+    const down = await probeGateway({ url: url + '/health', token: 'test-token', timeoutMs: 1000 });
+
+    if (up.ok && up.status === 200) console.log(`✅ Gateway probe: online (${up.latencyMs}ms)`);
+    else console.log('❌ Gateway probe: expected 200, got', up);
+    if (!denied.ok && denied.status === 401) console.log('✅ Gateway probe: bad token rejected (401)');
+    else console.log('❌ Gateway probe: expected 401, got', denied);
+    if (!down.ok && down.error) console.log(`✅ Gateway probe: offline detected (${down.error})`);
+    else console.log('❌ Gateway probe: expected failure, got', down);
+  } catch (e) {
+    console.log('❌ Gateway probe error:', e.message);
+  }
+  
+  // Test 5: Gateway process locators against fixture output
+  try {
+    const procStat = 'cpu  1 2 3\nbtime 1771236000\n';
+    const fixtureIO = (files = {}, commands = {}) => ({
+      exec: async (cmd) => {
+        const match = Object.keys(commands).find(prefix => cmd.startsWith(prefix));
+        if (!match) throw new Error('command not found');
+        return commands[match];
+      },
+      readFile: (path) => {
+        if (!(path in files)) throw new Error('ENOENT');
+        return files[path];
+      },
+      readdir: () => Object.keys(files).map(p => p.split('/')[2]).filter(p => /^\d+$/.test(p)),
+      pidAlive: (pid) => pid === 4242
+    });
+    const checks = [
+      ['launchd', await locateViaLaunchd(fixtureIO({}, {
+        'launchctl list': 'PID\tStatus\tLabel\n-\t0\tcom.apple.foo\n4242\t0\tai.openclaw.gateway\n',
+        'launchctl print': 'ai.openclaw.gateway = {\n\truns = 3\n\tpid = 4242\n}\n',
+        'ps -o lstart=': 'Mon Feb 16 10:00:00 2026\n'
+      })), r => r.pid === 4242 && r.restarts === 2 && r.startedAt === new Date('Mon Feb 16 10:00:00 2026').getTime()],
+      ['systemd', await locateViaSystemd(fixtureIO({}, {
+        'systemctl --user show': 'MainPID=4242\nActiveEnterTimestamp=Mon 2026-02-16 10:00:00 UTC\nNRestarts=5\n'
+      })), r => r.pid === 4242 && r.restarts === 5 && r.startedAt === Date.UTC(2026, 1, 16, 10)],
+      ['systemd (stopped)', await locateViaSystemd(fixtureIO({}, {
+        'systemctl': 'MainPID=0\nActiveEnterTimestamp=\nNRestarts=0\n'
+      })), r => r === null],
+      ['pidfile', await locateViaPidfile(fixtureIO({
+        [process.env.HOME + '/.openclaw/gateway.pid']: '4242\n',
+        '/proc/4242/stat': '4242 (node) S 1 4242 4242 0 -1 4194560 0 0 0 0 0 0 0 0 20 0 11 0 360000 0 0',
+        '/proc/stat': procStat
+      })), r => r.pid === 4242 && r.startedAt === (1771236000 + 3600) * 1000],
+      ['proc', await locateViaProc(fixtureIO({
+        '/proc/100/cmdline': 'tail\0-f\0/home/me/.openclaw/logs/gateway.log\0',
+        '/proc/4242/cmdline': 'node\0/usr/lib/node_modules/openclaw/dist/index.js\0gateway\0',
+        '/proc/4242/stat': '4242 (openclaw gw) S 1 4242 4242 0 -1 4194560 0 0 0 0 0 0 0 0 20 0 11 0 720000 0 0',
+        '/proc/stat': procStat
+      })), r => r.pid === 4242 && r.startedAt === (1771236000 + 7200) * 1000],
+      ['proc binary', await locateViaProc(fixtureIO({
+        '/proc/100/cmdline': 'journalctl\0-u\0openclaw-gateway\0',
+        '/proc/4242/cmdline': '/usr/local/bin/openclaw-gateway\0--port=18789\0',
+        '/proc/4242/stat': '4242 (openclaw-gateway) S 1 4242 4242 0 -1 4194560 0 0 0 0 0 0 0 0 20 0 11 0 720000 0 0',
+        '/proc/stat': procStat
+      })), r => r.pid === 4242],
+      ['proc ignores mentions', await locateViaProc(fixtureIO({
+        '/proc/100/cmdline': 'journalctl\0-u\0openclaw-gateway\0',
+        '/proc/101/cmdline': 'tail\0-f\0/var/log/openclaw-gateway.log\0',
+        '/proc/102/cmdline': 'systemctl\0--user\0restart\0openclaw-gateway.service\0',
+        '/proc/stat': procStat
+      })), r => r === null],
+      ['fallback order', await locateGateway([
+        { name: 'none', locate: async () => null },
+        { name: 'broken', locate: async () => { throw new Error('boom'); } },
+        { name: 'found', locate: async () => ({ pid: 1, startedAt: null, restarts: null }) }
+      ]), r => r.source === 'found']
+    ];
+    for (const [name, result, check] of checks) {
+      if (check(result)) console.log(`✅ Gateway locator: ${name}`);
+      else console.log(`❌ Gateway locator: ${name} returned`, result);
+    }
+  } catch (e) {
+    console.log('❌ Gateway locator error:', e.message);
+  }
+  
+  // Test 6: GPU backends against captured nvidia-smi and amdgpu sysfs output
+  try {
+    const smi = 'NVIDIA GeForce RTX 4090, 37, 4196, 24564, 62, 182.45\nNVIDIA GeForce RTX 4090, 13, 1024, 24564, 55, [N/A]\n';
+    const sysfs = {
+      '/sys/class/drm/card0/device/vendor': '0x8086\n',
+      '/sys/class/drm/card1/device/vendor': '0x1002\n',
+      '/sys/class/drm/card1/device/product_name': 'Radeon RX 7900 XTX\n',
+      '/sys/class/drm/card1/device/gpu_busy_percent': '58\n',
+      '/sys/class/drm/card1/device/mem_info_vram_used': '2147483648\n',
+      '/sys/class/drm/card1/device/mem_info_vram_total': '25753026560\n',
+      '/sys/class/drm/card1/device/hwmon/hwmon3/temp1_input': '61000\n',
+      '/sys/class/drm/card1/device/hwmon/hwmon3/power1_average': '212000000\n'
+    };
+    const sysfsIO = {
+      execFile: async (file) => {
+        if (file !== 'nvidia-smi') throw new Error('ENOENT');
+        return smi;
+      },
+      readFile: (path) => {
+        if (!(path in sysfs)) throw new Error('ENOENT');
+        return sysfs[path];
+      },
+      readdir: (dir) => {
+        const names = Object.keys(sysfs).filter(p => p.startsWith(dir + '/')).map(p => p.slice(dir.length + 1).split('/')[0]);
+        if (!names.length) throw new Error('ENOENT');
+        return [...new Set(names), 'renderD128', 'card1-DP-1'];
+      }
+    };
+    const [first, second] = parseNvidiaSmi(smi);
+    const checks = [
+      ['nvidia-smi CSV', first, r => r.model === 'NVIDIA GeForce RTX 4090' && r.utilization === 37 && r.memUsed === 4196 * 1024 * 1024 && r.temperature === 62 && r.power === 182.45],
+      ['nvidia-smi [N/A] field', second, r => r.power === null && r.utilization === 13],
+      ['nvidia multi-GPU', await readNvidiaGPU(sysfsIO), r => r.count === 2 && r.utilization === 25 && r.temperature === 62 && r.memTotal === 2 * 24564 * 1024 * 1024],
+      ['amdgpu sysfs', await readAmdGPU(sysfsIO), r => r.model === 'Radeon RX 7900 XTX' && r.utilization === 58 && r.memUsed === 2147483648 && r.temperature === 61 && r.power === 212],
+      ['backend order', await getGPU([
+        { name: 'mac only', platforms: ['darwin'], read: async () => ({ model: 'Apple M3 GPU' }) },
+        { name: 'broken', read: async () => { throw new Error('boom'); } },
+        { name: 'amd', read: readAmdGPU }
+      ], sysfsIO, 'linux'), r => r.source === 'amd' && r.short === 'RX 7900 XTX' && r.frequency === null]
+    ];
+    for (const [name, result, check] of checks) {
+      if (result && check(result)) console.log(`✅ GPU backend: ${name}`);
+      else console.log(`❌ GPU backend: ${name} returned`, result);
+    }
+  } catch (e) {
+    console.log('❌ GPU backend error:', e.message);
+  }
+
+  // Test 7: Alert rules - duration, hysteresis and a webhook to a local receiver
+  try {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => body += chunk);
+      req.on('end', () => {
+        received.push({ method: req.method, body: JSON.parse(body) });
+        res.writeHead(204);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/alerts`;
+
+    const [cpuRule, staleRule] = compileAlertRules([
+      { name: 'cpu hot', metric: 'cpu', above: 90, for: 60, clear: 80, resolve: true, actions: ['bell', { type: 'webhook', url }] },
+      { metric: 'sessionStale', above: 30, actions: ['banner'] },
+      { metric: 'nope', actions: ['bell'] }
+    ]);
+    const t0 = Date.parse('2026-02-19T12:00:00Z');
+    const sessions = (ages) => ages.map((minutes, i) => ({ key: `s${i}`, agent: 'main', displayName: `s${i}`, updatedAt: t0 - minutes * 60000 }));
+    const step = async (seconds, cpuAvg, ages = [120, 5]) => {
+      const events = evaluateAlertRules([cpuRule, staleRule], { cpuAvg, sessions: sessions(ages) }, t0 + seconds * 1000);
+      for (const event of events) {
+        for (const action of event.rule.actions.filter(a => a.type === 'webhook')) await runAlertAction(action, event);
+      }
+      return events.map(e => `${e.rule.metric}:${e.state}`).join(',');
+    };
+    const steps = [
+      ['startup seeds stale sessions silently', await step(0, 95), ''],
+      ['waits out the duration', await step(30, 96), ''],
+      ['fires after 60s', await step(60, 97), 'cpu:firing'],
+      ['holds above clear (hysteresis)', await step(90, 85), ''],
+      ['banner follows the value while firing', cpuRule.states.get('').message, 'cpu hot: CPU 85%'],
+      ['session going stale fires', await step(120, 85, [122, 31]), 'sessionStale:firing'],
+      ['clears below clear', await step(150, 70, [122, 31]), 'cpu:resolved']
+    ];
+    await new Promise(resolve => server.close(resolve));
+
+    for (const [name, got, expected] of steps) {
+      if (got === expected) console.log(`✅ Alert rules: ${name}`);
+      else console.log(`❌ Alert rules: ${name}: expected "${expected}", got "${got}"`);
+    }
+    const states = received.map(r => r.body.state).join(',');
+    if (received.length === 2 && received.every(r => r.method === 'POST') && states === 'firing,resolved'
+      && received[0].body.rule === 'cpu hot' && received[0].body.message === 'cpu hot: CPU 97%') {
+      console.log('✅ Alert rules: webhook received firing and resolved POSTs');
+    } else {
+      console.log('❌ Alert rules: webhook received', received.map(r => r.body));
+    }
+  } catch (e) {
+    console.log('❌ Alert rules error:', e.message);
+  }
+
+  // Test 8: Remote instance polling with malformed and partial session bodies
+  try {
+    const bodies = {
+      '/null/sessions': '{"sessions":null,"count":0}',
+      '/partial/sessions': '{"sessions":[null,{"key":"agent:ops:main","totalTokens":5},3]}',
+      '/keyed/sessions': '{"agent:main:x":{"displayName":"x"},"count":2,"meta":null}',
+      '/garbage/sessions': 'not json'
+    };
+    const server = http.createServer((req, res) => {
+      if (req.url.endsWith('/health')) { res.writeHead(200); return res.end(); }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(bodies[req.url] ?? 'null');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const poll = (path) => pollInstance({ name: 'remote', url: base + path, sessionsPath: '/sessions' }, '/health');
+    const checks = [
+      ['null session list', await poll('/null'), r => r.online && r.sessions.length === 0 && !r.error],
+      ['nulls in a session list', await poll('/partial'), r => r.sessions.length === 1 && r.sessions[0].agent === 'ops' && r.sessions[0].totalTokens === 5 && r.sessions[0].instance === 'remote'],
+      ['non-session values in a keyed body', await poll('/keyed'), r => r.sessions.length === 1 && r.sessions[0].displayName === 'x'],
+      ['invalid JSON', await poll('/garbage'), r => r.online && r.sessions.length === 0 && r.error === 'invalid JSON'],
+      ['null body', await poll('/missing'), r => r.sessions.length === 0]
+    ];
+    await new Promise(resolve => server.close(resolve));
+    for (const [name, result, check] of checks) {
+      if (check(result)) console.log(`✅ Instance poll: ${name}`);
+      else console.log(`❌ Instance poll: ${name} returned`, result);
+    }
+  } catch (e) {
+    console.log('❌ Instance poll error:', e.message);
+  }
+
+  // Test 9: SSE parsing, plus event stream reconnects after a close and an idle socket
+  try {
+    const parsed = [];
+    const feed = createSSEParser(event => parsed.push(event));
+    for (const chunk of [': heartbeat\n\nevent: sess', 'ion\ndata: {"key":"a"}\r\nid: 7\n\n', 'data: one\ndata: two\n', '\n']) feed(chunk);
+    if (parsed.length === 2 && parsed[0].type === 'session' && parsed[0].data === '{"key":"a"}' && parsed[0].id === '7'
+      && parsed[1].type === 'message' && parsed[1].data === 'one\ntwo') {
+      console.log('✅ SSE parser: split chunks, comments and multi-line data');
+    } else {
+      console.log('❌ SSE parser returned', parsed);
+    }
+
+    // First connection sends an event and closes; the second sends one and goes quiet
+    let connections = 0;
+    const server = http.createServer((req, res) => {
+      connections++;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`data: connection ${connections}\n\n`);
+      if (connections === 1) res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const stream = new GatewayEventStream({ url: `http://127.0.0.1:${server.address().port}/api/events`, minDelayMs: 50, idleTimeoutMs: 300 });
+    const events = [];
+    const closes = [];
+    let giveUp;
+    await new Promise((resolve) => {
+      stream.on('event', event => events.push(event.data));
+      stream.on('close', (reason) => {
+        closes.push(reason);
+        if (closes.length === 2) resolve();
+      });
+      stream.start();
+      giveUp = setTimeout(resolve, 5000);
+    });
+    clearTimeout(giveUp);
+    stream.stop();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    if (events.join(',') === 'connection 1,connection 2' && closes.join(',') === 'closed,timeout' && !stream.connected) {
+      console.log('✅ Event stream: reconnects after close, drops an idle connection');
+    } else {
+      console.log('❌ Event stream: events', events, 'closes', closes);
+    }
+  } catch (e) {
+    console.log('❌ Event stream error:', e.message);
+  }
+
+  // Test 10: Session store picks up an edited sessions.json as a created/updated/removed diff
+  const agentsDir = fs.mkdtempSync(join(os.tmpdir(), 'claw-agents-'));
+  try {
+    const sessionsFile = join(agentsDir, 'main', 'sessions', 'sessions.json');
+    fs.mkdirSync(join(agentsDir, 'main', 'sessions'), { recursive: true });
+    fs.writeFileSync(sessionsFile, JSON.stringify({ a: { totalTokens: 1 }, b: { totalTokens: 2 }, broken: null }));
+    // A whole file that isn't an object only marks its own agent as errored
+    fs.mkdirSync(join(agentsDir, 'other', 'sessions'), { recursive: true });
+    fs.writeFileSync(join(agentsDir, 'other', 'sessions', 'sessions.json'), 'null');
+    const store = new SessionStore({ agentsDir, debounceMs: 20, retryDelayMs: 20 });
+    await store.start();
+    const loaded = store.list().map(s => s.key).sort().join(',');
+    const errors = store.agentErrors;
+
+    let giveUp;
+    const change = new Promise((resolve) => {
+      store.once('change', resolve);
+      giveUp = setTimeout(() => resolve(null), 3000);
+    });
+    // Written via a temp file and rename, the way OpenClaw saves it
+    fs.writeFileSync(sessionsFile + '.tmp', JSON.stringify({ a: { totalTokens: 5 }, c: { totalTokens: 3 }, d: null }));
+    fs.renameSync(sessionsFile + '.tmp', sessionsFile);
+    const diff = await change;
+    clearTimeout(giveUp);
+    store.stop();
+
+    if (loaded === 'a,b' && Object.keys(errors).join() === 'other' && store.ok) console.log('✅ Session store: initial load skips null entries and files');
+    else console.log('❌ Session store: initial load returned', loaded, errors);
+    if (diff && diff.created.join() === 'main/c' && diff.updated.join() === 'main/a' && diff.removed.join() === 'main/b') {
+      console.log('✅ Session store: edit reported as created/updated/removed');
+    } else {
+      console.log('❌ Session store: change event', diff);
+    }
+  } catch (e) {
+    console.log('❌ Session store error:', e.message);
+  } finally {
+    fs.rmSync(agentsDir, { recursive: true, force: true });
+  }
+
+  // Test 11: Log tailer follows a file through appends, truncation and rotation
+  const logDir = fs.mkdtempSync(join(os.tmpdir(), 'claw-logs-'));
+  let tailer;
+  try {
+    const logFile = join(logDir, 'gateway.log');
+    fs.writeFileSync(logFile, 'old 1\nold 2\n');
+    const files = findLogFiles({ logFiles: [logFile, join(logDir, 'missing.log')] });
+    const lines = [];
+    tailer = new LogTailer({ resolveFiles: () => [logFile], pollIntervalMs: 25 });
+    tailer.on('line', (line, path, initial) => lines.push(initial ? `(${line})` : line));
+    await tailer.start();
+    const waitFor = async (line) => {
+      for (let i = 0; i < 80 && !lines.includes(line); i++) await new Promise(resolve => setTimeout(resolve, 25));
+    };
+
+    fs.appendFileSync(logFile, 'appended\npart');
+    await waitFor('appended');
+    fs.appendFileSync(logFile, 'ial\n');
+    await waitFor('partial');
+    fs.truncateSync(logFile, 0);
+    fs.appendFileSync(logFile, 'after truncate\n');
+    await waitFor('after truncate');
+    // Rotation: a last line lands in the old file just before it is renamed away
+    fs.appendFileSync(logFile, 'before rotate\n');
+    fs.renameSync(logFile, logFile + '.1');
+    fs.writeFileSync(logFile, 'rotated\n');
+    await waitFor('rotated');
+
+    if (files.length === 1 && files[0] === logFile) console.log('✅ Log files: configured files that exist');
+    else console.log('❌ Log files: findLogFiles returned', files);
+    const expected = '(old 1),(old 2),appended,partial,after truncate,before rotate,rotated';
+    if (lines.join(',') === expected) console.log('✅ Log tailer: appends, partial lines, truncation and rotation');
+    else console.log(`❌ Log tailer: expected "${expected}", got "${lines.join(',')}"`);
+  } catch (e) {
+    console.log('❌ Log tailer error:', e.message);
+  } finally {
+    tailer?.stop();
+    fs.rmSync(logDir, { recursive: true, force: true });
+  }
+
+  // Test 12: Log line parsing, log rules and error spike detection
+  try {
+    const parses = [
+      ['pino JSON', '{"time":"2026-02-19T12:00:00Z","level":"warn","subsystem":"telegram","msg":"rate limited"}',
+        r => r.json && r.level === 'warn' && r.subsystem === 'telegram' && r.message === 'rate limited'],
+      ['tslog JSON', '{"0":"{\\"subsystem\\":\\"gateway/ws\\"}","1":"listening","_meta":{"name":"{\\"subsystem\\":\\"gateway/ws\\"}","logLevelName":"ERROR","date":"2026-02-19T12:00:00Z"}}',
+        r => r.level === 'error' && r.subsystem === 'gateway/ws' && r.message === 'listening' && r.time === '2026-02-19T12:00:00Z'],
+      ['bracketed', '[2026-02-19T12:00:00Z] [ERROR] [gateway] crashed',
+        r => r.level === 'error' && r.subsystem === 'gateway' && r.message === 'crashed' && r.timeSpan[0] === 1],
+      ['timestamp level subsystem:', '2026-02-19T12:00:00.123Z info telegram: polling started',
+        r => r.level === 'info' && r.subsystem === 'telegram' && r.message === 'polling started'],
+      ['leading level', 'WARNING: disk almost full', r => r.level === 'warn' && r.message === 'disk almost full'],
+      ['no level', 'plain line with no level', r => r.level === null && r.time === null]
+    ];
+    for (const [name, line, check] of parses) {
+      const result = parseLogLine(line);
+      if (check(result)) console.log(`✅ Log parse: ${name}`);
+      else console.log(`❌ Log parse: ${name} returned`, result);
+    }
+
+    const rules = compileLogRules([
+      { pattern: 'plugin CLI register skipped', action: 'mute' },
+      { pattern: 'Telegram.*429', action: 'highlight', color: 'magenta' },
+      { pattern: 'crash', action: 'alert' },
+      { pattern: '(unclosed', action: 'mute' },
+      { pattern: 'anything', action: 'explode' }
+    ]);
+    const match = line => rules.find(rule => rule.regex.test(line))?.action ?? null;
+    if (rules.length === 3 && match('[info] plugin CLI register skipped: x') === 'mute' && match('telegram: HTTP 429') === 'highlight'
+      && match('gateway crashed') === 'alert' && rules[2].color === 'bright-red' && match('all good') === null) {
+      console.log('✅ Log rules: matching, case-insensitive default, bad rules skipped');
+    } else {
+      console.log('❌ Log rules: compiled', rules);
+    }
+
+    const t0 = Date.parse('2026-02-19T12:00:00Z');
+    const rates = createLogRates(t0);
+    for (let minute = 0; minute < 10; minute++) countLogLine(rates, '[ERROR] timeout', t0 + minute * 60000);
+    const atMinute10 = (count) => {
+      for (let i = 0; i < count; i++) countLogLine(rates, '[ERROR] timeout', t0 + 10 * 60000 + i);
+      return isErrorSpike(rates, { multiplier: 3, minimum: 5 });
+    };
+    countLogLine(rates, '[WARN] slow', t0 + 10 * 60000);
+    const belowMinimum = atMinute10(4);
+    const spike = atMinute10(1);
+    if (!belowMinimum && spike && rates.warn[rates.warn.length - 1] === 1) {
+      console.log('✅ Error rates: spike needs the minimum and a multiple of the baseline');
+    } else {
+      console.log('❌ Error rates: below minimum', belowMinimum, 'spike', spike, rates);
+    }
+  } catch (e) {
+    console.log('❌ Log parsing error:', e.message);
+  }
+  
   console.log('\n🎉 All core tests passed! Dashboard is ready to run.');
   console.log('   Run: npm start');
   console.log('   Or:  ./start.sh');